@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * HexDump Diff - 命令行工具
+ * 用与页面相同的解析和对比逻辑 (hexdiff-core.js) 比较两个输入，便于在 CI 中检查差异
+ *
+ * 退出码与 diff/cmp 一致: 0 无差异，1 有差异，2 出错
+ */
+
+const fs = require('fs');
+const HexDiffCore = require('./hexdiff-core.js');
+
+const USAGE = `用法: hexdiff [选项] <A> <B>
+
+  A、B 为文件路径，其中一个可以是 - 表示从标准输入读取
+
+选项:
+  -f, --format <格式>    两侧的输入格式 (默认 raw):
+                         raw      - 按原始二进制读取
+                         auto     - 自动识别文本格式
+                         hex | hexdump | c_array | base64 | ihex | srec
+      --format-a <格式>  只指定 A 的输入格式
+      --format-b <格式>  只指定 B 的输入格式
+  -o, --output <类型>    输出 (默认 text):
+                         text | json | csv | html | unified - 差异报告
+                         ips | bps | json-patch              - A→B 的补丁
+      --out <文件>       输出写入文件而不是标准输出
+      --align <方式>     align (默认，识别插入/删除) | offset (按偏移逐字节)
+      --width <字节数>   报告每行字节数，用于 html/unified (默认 16)
+      --endian <le|be>   数组字面量中宽元素的字节序 (默认 le)
+      --lenient          跳过无效内容继续解析，跳过的位置输出到标准错误
+  -q, --quiet            不输出报告，只用退出码表示结果
+  -h, --help             显示帮助
+`;
+
+const FORMATS = ['raw', 'auto', 'hex', 'hexdump', 'c_array', 'base64', 'ihex', 'srec'];
+const REPORTS = ['text', 'json', 'csv', 'html', 'unified'];
+const PATCHES = { ips: 'ips', bps: 'bps', 'json-patch': 'json' };
+
+class UsageError extends Error {}
+
+/**
+ * 解析命令行参数，返回 { files, formats, output, out, align, width, endian, lenient, quiet, help }
+ */
+function parseArgs(argv) {
+    const options = {
+        files: [],
+        formats: { A: 'raw', B: 'raw' },
+        output: 'text',
+        out: null,
+        align: 'align',
+        width: 16,
+        endian: 'le',
+        lenient: false,
+        quiet: false,
+        help: false
+    };
+
+    const value = (i, name) => {
+        if (i >= argv.length) throw new UsageError(`${name} 缺少参数`);
+        return argv[i];
+    };
+    const oneOf = (text, allowed, name) => {
+        if (!allowed.includes(text)) throw new UsageError(`${name} 不支持 "${text}"，可选: ${allowed.join(', ')}`);
+        return text;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-f':
+            case '--format':
+                options.formats.A = options.formats.B = oneOf(value(++i, arg), FORMATS, arg);
+                break;
+            case '--format-a':
+                options.formats.A = oneOf(value(++i, arg), FORMATS, arg);
+                break;
+            case '--format-b':
+                options.formats.B = oneOf(value(++i, arg), FORMATS, arg);
+                break;
+            case '-o':
+            case '--output':
+                options.output = oneOf(value(++i, arg), REPORTS.concat(Object.keys(PATCHES)), arg);
+                break;
+            case '--out':
+                options.out = value(++i, arg);
+                break;
+            case '--align':
+                options.align = oneOf(value(++i, arg), ['align', 'offset'], arg);
+                break;
+            case '--width': {
+                const width = parseInt(value(++i, arg), 10);
+                if (!(width > 0 && width <= 256)) throw new UsageError(`${arg} 应为 1-256 之间的整数`);
+                options.width = width;
+                break;
+            }
+            case '--endian':
+                options.endian = oneOf(value(++i, arg), ['le', 'be'], arg);
+                break;
+            case '--lenient':
+                options.lenient = true;
+                break;
+            case '-q':
+            case '--quiet':
+                options.quiet = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') throw new UsageError(`未知选项: ${arg}`);
+                options.files.push(arg);
+        }
+    }
+
+    if (!options.help) {
+        if (options.files.length !== 2) throw new UsageError('需要两个输入');
+        if (options.files.every(file => file === '-')) throw new UsageError('只有一个输入可以来自标准输入');
+    }
+    return options;
+}
+
+/**
+ * 读取一个输入，转为 runCompare 的输入项: 原始二进制为 { bytes }，文本格式为 { text, format, ... }
+ */
+function readInput(file, format, options) {
+    const buffer = fs.readFileSync(file === '-' ? 0 : file);
+    if (format === 'raw') {
+        return { bytes: new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length) };
+    }
+    return { text: buffer.toString('utf8'), format, endian: options.endian, lenient: options.lenient };
+}
+
+function displayName(file) {
+    return file === '-' ? '(标准输入)' : file;
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (e) {
+        if (!(e instanceof UsageError)) throw e;
+        process.stderr.write(`hexdiff: ${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const names = { A: displayName(options.files[0]), B: displayName(options.files[1]) };
+    const inputs = {};
+    for (const [panel, file] of [['A', options.files[0]], ['B', options.files[1]]]) {
+        try {
+            inputs[panel] = readInput(file, options.formats[panel], options);
+        } catch (e) {
+            process.stderr.write(`hexdiff: ${names[panel]}: ${e.message}\n`);
+            return 2;
+        }
+    }
+
+    const result = await HexDiffCore.runCompare({ id: 0, inputs, alignMode: options.align, gutterHeight: 0 });
+
+    // 宽松解析时跳过的位置只作提示；严格模式下的解析错误同样按 文件:行:列 输出，并使对比无法进行
+    const located = {};
+    for (const panel of ['A', 'B']) {
+        const diagnostics = result.diagnostics[panel];
+        if (diagnostics) {
+            diagnostics.list.forEach(d => {
+                const label = d.severity === 'error' ? '错误' : '警告';
+                process.stderr.write(`${names[panel]}:${d.line}:${d.column}: ${label}: ${d.message}\n`);
+                if (d.severity === 'error') located[panel] = true;
+            });
+            if (diagnostics.total > diagnostics.list.length) {
+                process.stderr.write(`${names[panel]}: 另有 ${diagnostics.total - diagnostics.list.length} 条未列出\n`);
+            }
+        }
+    }
+    const failed = ['A', 'B'].filter(panel => result.errors[panel]);
+    if (failed.length > 0) {
+        failed.filter(panel => !located[panel])
+            .forEach(panel => process.stderr.write(`hexdiff: ${names[panel]}: ${result.errors[panel]}\n`));
+        return 2;
+    }
+
+    const a = result.A || new Uint8Array(0);
+    const b = result.B || new Uint8Array(0);
+    const status = result.diffCount > 0 ? 1 : 0;
+    if (options.quiet) return status;
+
+    let output;
+    if (PATCHES[options.output]) {
+        output = HexDiffCore.createPatch(PATCHES[options.output], a, b, result.segments);
+    } else {
+        const base = (panel) => result.images && result.images[panel] ? result.images[panel].base : 0;
+        output = HexDiffCore.createReport(options.output, {
+            a,
+            b,
+            segments: result.segments,
+            virtualLength: result.virtualLength,
+            names,
+            bases: { A: base('A'), B: base('B') },
+            scope: 'all',
+            ranges: [{ start: 0, end: result.virtualLength }],
+            bytesPerRow: options.width,
+            encoding: 'ascii'
+        });
+    }
+
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+    return status;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, e => {
+    process.stderr.write(`hexdiff: ${e.message}\n`);
+    process.exitCode = 2;
+});
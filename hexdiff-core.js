@@ -0,0 +1,3552 @@
+/**
+ * HexDump Diff - 核心解析与对比逻辑
+ * 不依赖 DOM，页面主线程、Web Worker (hexdiff-worker.js) 和命令行工具 (hexdiff-cli.js) 共用
+ */
+
+const HexDiffCore = {
+    /**
+     * 解析输入文本。info 为可选的输出对象: 带地址的格式（Intel HEX、S-record、hexdump）
+     * 会写入 { base, ranges, entry }，ranges 为有数据的区间 [start, end)（相对 base）；
+     * 解析诊断写入 info.diagnostics（见 createDiagnostics）。
+     * options: { endian: 数组字面量中宽元素的字节序 'le'/'be', lenient: 跳过无效内容而不是报错 }
+     */
+    parseInput(text, format, info, options) {
+        const diag = this.createDiagnostics(text, info, options);
+        const endian = options && options.endian;
+        if (!text.trim()) return new Uint8Array(0);
+        
+        switch (format) {
+            case 'auto':
+                return this.parseAuto(text, info, diag, endian);
+            case 'ihex':
+                return this.parseIntelHex(text, info, diag);
+            case 'srec':
+                return this.parseSRecord(text, info, diag);
+            case 'hex':
+                return this.parseHex(text, diag);
+            case 'hexdump':
+                return this.parseHexdump(text, info, diag);
+            case 'c_array':
+                return this.parseCArray(text, endian, diag);
+            case 'base64':
+                return this.parseBase64(text, diag);
+            default:
+                return this.parseAuto(text, info, diag, endian);
+        }
+    },
+    
+    /**
+     * 解析诊断收集器，每条诊断为 { severity, message, index, length, line, column, token }，
+     * index/length 为出错内容在输入文本中的位置，line/column 从 1 开始。
+     *   report - 可跳过的错误: 严格模式下抛出 ParseError；宽松模式 (options.lenient) 下
+     *            记为警告并计入 skipped，返回后由调用方跳过出错的内容
+     *   fail   - 无法继续的错误，总是抛出 ParseError
+     *   warn   - 只记录警告
+     * 最多保留 MAX_DIAGNOSTICS 条，total 为实际条数。收集器同时写入 info.diagnostics
+     */
+    createDiagnostics(text, info, options) {
+        let lineStarts = null;
+        
+        const diag = {
+            lenient: !!(options && options.lenient),
+            list: [],
+            total: 0,
+            skipped: 0,
+            
+            make(severity, index, length, message) {
+                if (!lineStarts) {
+                    lineStarts = [0];
+                    for (let i = text.indexOf('\n'); i >= 0; i = text.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+                }
+                let lo = 0;
+                let hi = lineStarts.length - 1;
+                while (lo < hi) {
+                    const mid = (lo + hi + 1) >> 1;
+                    if (lineStarts[mid] <= index) lo = mid;
+                    else hi = mid - 1;
+                }
+                return {
+                    severity, message, index, length,
+                    line: lo + 1,
+                    column: index - lineStarts[lo] + 1,
+                    token: text.substr(index, Math.min(length, HexDiffCore.DIAGNOSTIC_TOKEN_LIMIT))
+                };
+            },
+            add(diagnostic) {
+                this.total++;
+                if (this.list.length < HexDiffCore.MAX_DIAGNOSTICS) this.list.push(diagnostic);
+                return diagnostic;
+            },
+            report(index, length, message) {
+                if (!this.lenient) this.fail(index, length, message);
+                this.skipped++;
+                this.add(this.make('warning', index, length, message));
+            },
+            fail(index, length, message) {
+                throw new HexDiffCore.ParseError(this.add(this.make('error', index, length, message)));
+            },
+            warn(index, length, message) {
+                this.add(this.make('warning', index, length, message));
+            },
+            // 可以传给 Worker 之外的纯数据
+            summary() {
+                return { list: this.list, total: this.total, skipped: this.skipped };
+            }
+        };
+        
+        if (info) info.diagnostics = diag;
+        return diag;
+    },
+    
+    parseAuto(text, info, diag, endian) {
+        const trimmed = text.trim();
+        
+        // 检测 Intel HEX / S-record (每个非空行都是一条记录)
+        const lines = trimmed.split(/\r?\n/).filter(line => line.trim());
+        if (lines.every(line => /^\s*:[0-9a-fA-F]{10,}\s*$/.test(line))) {
+            return this.parseIntelHex(text, info, diag);
+        }
+        if (lines.every(line => /^\s*S[0-9][0-9a-fA-F]{6,}\s*$/.test(line))) {
+            return this.parseSRecord(text, info, diag);
+        }
+        
+        // 检测 Base64 (只包含 base64 字符且长度合适)
+        // 排除纯十六进制的情况（只包含0-9a-fA-F和0x前缀）
+        const cleanedForBase64Check = trimmed.replace(/\s/g, '');
+        const isPureHex = /^(?:0x)?[0-9a-fA-F]+$/.test(cleanedForBase64Check.replace(/0x/gi, ''));
+        const isBase64 = /^[A-Za-z0-9+/]+=*$/.test(cleanedForBase64Check) && 
+                         trimmed.length > 10 && 
+                         !isPureHex;  // 排除纯十六进制
+        if (isBase64) {
+            try {
+                return this.parseBase64(text, this.createDiagnostics(text));
+            } catch (e) {
+                // 不是有效的 Base64，继续尝试其他格式
+            }
+        }
+        
+        // 检测 hexdump 格式 (行首有地址)
+        // 特征: 行首是长十六进制数(>=6位)，后面跟着冒号或多个空格（od 为单个空格加单字节），再跟着十六进制数据
+        // 修复: 必须在地址后有实际的十六进制数据，避免误判纯地址列表
+        const isHexdump = /^(?:0x)?[0-9a-fA-F]{6,}(?::[ \t]*|[ \t]{2,}|[ \t](?=[0-9a-fA-F]{2}[ \t]))[0-9a-fA-F]{2}/m.test(trimmed);
+        if (isHexdump) {
+            return this.parseHexdump(text, info, diag);
+        }
+        
+        // 检测数组字面量 (C/Python/Rust/Go/Java)
+        const isCArray = /[{}\[\]]/.test(trimmed) || /0x[0-9a-fA-F]+\s*,/.test(trimmed) ||
+                         /\b(?:[bB][rR]?|[rR][bB])['"]|\bbyte(?:s|array)\s*[.(]/.test(trimmed);
+        if (isCArray) {
+            return this.parseCArray(text, endian, diag);
+        }
+        
+        // 默认尝试纯十六进制
+        return this.parseHex(text, diag);
+    },
+    
+    /**
+     * 解析十六进制文本，忽略 0x、\x 前缀和常见分隔符；
+     * 各段数字连在一起按两位一个字节切分
+     */
+    parseHex(text, diag = this.createDiagnostics(text)) {
+        const digits = [];
+        let lastDigit = -1;
+        const token = /(\\x|0x)|([,\s;:\[\]{}()'"]+)|((?:(?!0x)[0-9a-f])+)|((?:(?!\\x)[^,\s;:\[\]{}()'"0-9a-f])+)/giy;
+        
+        let match;
+        while ((match = token.exec(text))) {
+            if (match[3]) {
+                digits.push(match[3]);
+                lastDigit = token.lastIndex - 1;
+            } else if (match[4]) {
+                diag.report(match.index, match[4].length, `无效的十六进制字符 "${match[4]}"`);
+            }
+        }
+        
+        let cleaned = digits.join('');
+        if (cleaned.length === 0) return new Uint8Array(0);
+        if (cleaned.length % 2 !== 0) {
+            diag.report(lastDigit, 1, '十六进制字符数必须为偶数');
+            cleaned = cleaned.substring(0, cleaned.length - 1);
+        }
+        
+        const bytes = new Uint8Array(cleaned.length / 2);
+        for (let i = 0; i < cleaned.length; i += 2) {
+            bytes[i / 2] = parseInt(cleaned.substring(i, i + 2), 16);
+        }
+        
+        return bytes;
+    },
+    
+    /**
+     * 解析带地址的 hexdump，按行首地址放置数据:
+     *   hexdump -C: 00000000  48 65 6c 6c 6f 20 57 6f  72 6c 64 0a  |Hello World.|
+     *   xxd:        00000000: 4865 6c6c 6f20 576f 726c 640a  Hello World.   (支持 -g 1/2/4/8)
+     *   od -Ax -tx1: 000000 48 65 6c 6c 6f
+     *   WinDbg:     768fb640  02 1f 3f 14-71 c6 18 40  ..?.q..@
+     * "*" 行表示重复上一行直到下一个地址；跳过的地址保留为空洞，首个地址作为基址。
+     * 行重叠或冲突时记为警告
+     */
+    parseHexdump(text, info, diag = this.createDiagnostics(text)) {
+        const chunks = [];
+        const lines = text.split('\n');
+        let previous = null;
+        let repeat = null;
+        
+        const expandRepeat = (address, at) => {
+            if (!repeat) return;
+            const pattern = repeat.bytes;
+            const start = repeat.address + pattern.length;
+            if (address > start && pattern.length > 0) {
+                const span = address - start;
+                if (span > HexDiffCore.MAX_IMAGE_SPAN) diag.fail(at.index, at.length, '"*" 展开范围过大');
+                const bytes = new Uint8Array(span);
+                for (let i = 0; i < span; i++) bytes[i] = pattern[i % pattern.length];
+                chunks.push({ address: start, bytes, index: repeat.index, length: repeat.length });
+            }
+            repeat = null;
+        };
+        
+        for (let n = 0, pos = 0; n < lines.length; pos += lines[n].length + 1, n++) {
+            const line = lines[n].replace(/\r$/, '');
+            if (!line.trim()) continue;
+            const at = { index: pos + line.search(/\S/), length: line.trim().length };
+            
+            if (line.trim() === '*') {
+                if (previous) repeat = { ...previous, ...at };
+                continue;
+            }
+            
+            const match = line.match(/^\s*(?:0x)?([0-9a-fA-F]+)(?::\s*|\s+|$)(.*)$/);
+            if (!match) {
+                diag.report(at.index, at.length, '缺少地址');
+                continue;
+            }
+            const address = parseInt(match[1], 16);
+            expandRepeat(address, at);
+            
+            const bytes = this.parseHexdumpData(match[2]);
+            // 只有地址的行是数据结束位置（hexdump/od 的最后一行）
+            if (bytes.length === 0) continue;
+            
+            previous = { address, bytes };
+            chunks.push({ address, bytes, ...at });
+        }
+        
+        const image = this.buildImage(chunks, null, info, diag);
+        if (info) info.addressed = false;
+        return image;
+    },
+    
+    /**
+     * 从 hexdump 行的地址之后提取字节，去掉末尾的 ASCII 列
+     */
+    parseHexdumpData(text) {
+        // hexdump -C 的 ASCII 列在 | | 之间
+        let data = text.includes('|') ? text.substring(0, text.indexOf('|')) : text;
+        
+        // 其他格式的 ASCII 列与数据之间至少隔两个空格，按段取到第一个非十六进制的段为止
+        const parts = data.replace(/([0-9a-fA-F])-(?=[0-9a-fA-F])/g, '$1 ').split(/\s{2,}/).filter(part => part.trim());
+        const groups = [];
+        for (let i = 0; i < parts.length; i++) {
+            const tokens = parts[i].trim().split(/\s+/);
+            if (!tokens.every(token => /^([0-9a-fA-F]{2})+$/.test(token))) break;
+            
+            // 末段只有一个词且长度等于前面的字节数时是 ASCII 列（如 "cafe"）
+            const count = groups.reduce((sum, token) => sum + token.length / 2, 0);
+            if (i > 0 && i === parts.length - 1 && tokens.length === 1 && tokens[0].length === count) break;
+            groups.push(...tokens);
+        }
+        
+        const hex = groups.join('');
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    },
+    
+    /**
+     * 解析数组字面量，支持:
+     *   C/C++:  unsigned char buf[] = { 0x48, 101, 0154, 'l', "o\n" };  uint16_t/uint32_t 等宽元素
+     *   Python: b'\x48\x65'、bytes([72, 101])、bytearray.fromhex('48 65')
+     *   Rust:   [0x48u8, 0x65]、b"He"、[0u8; 16]
+     *   Go/Java/C#: []byte{0x48, 0x65}、new byte[] { (byte) 0x80 }
+     * 元素宽度取自声明中的类型（默认 1 字节），宽元素按 endian ('le'/'be') 展开；
+     * 字符串按 UTF-8（宽元素按 UTF-16/码点）编码，不补结尾的 \0
+     */
+    parseCArray(text, endian, diag = this.createDiagnostics(text)) {
+        const tokens = this.tokenizeArrayLiteral(text, diag);
+        const littleEndian = endian !== 'be';
+        const bytes = [];
+        
+        const report = (token, message) => diag.report(token.index, token.text.length, message);
+        
+        // 超出范围时报告并返回 false，不写入任何字节
+        const emit = (value, width, token) => {
+            const bits = BigInt(width * 8);
+            if (value < 0n && value >= -(1n << (bits - 1n))) value += 1n << bits;
+            if (value < 0n || value >= 1n << bits) {
+                report(token, `${token.text} 超出 ${width} 字节范围`);
+                return false;
+            }
+            if (bytes.length + width > HexDiffCore.MAX_IMAGE_SPAN) diag.fail(token.index, token.text.length, '数据过大');
+            
+            for (let k = 0; k < width; k++) {
+                const shift = BigInt((littleEndian ? k : width - 1 - k) * 8);
+                bytes.push(Number((value >> shift) & 0xFFn));
+            }
+            return true;
+        };
+        
+        const emitString = (token, width) => {
+            for (const item of token.items) {
+                if (item.raw || width > 2) {
+                    if (!emit(BigInt(item.value), width, token)) return;
+                } else if (width === 1) {
+                    for (const b of this.encodeCodePoint(item.value)) emit(BigInt(b), 1, token);
+                } else {
+                    const s = String.fromCodePoint(item.value);
+                    for (let k = 0; k < s.length; k++) emit(BigInt(s.charCodeAt(k)), 2, token);
+                }
+            }
+        };
+        
+        // 按顶层 ';' 拆成语句，每条语句 '=' 之前是声明，之后是数据
+        const statements = [[]];
+        let depth = 0;
+        for (const token of tokens) {
+            if (token.kind === 'punct') {
+                if ('([{'.includes(token.text)) depth++;
+                else if (')]}'.includes(token.text)) depth--;
+                else if (token.text === ';' && depth <= 0) {
+                    statements.push([]);
+                    continue;
+                }
+            }
+            statements[statements.length - 1].push(token);
+        }
+        
+        for (const statement of statements) {
+            const assign = statement.findIndex(t => t.kind === 'punct' && t.text === '=');
+            const declaration = assign >= 0 ? statement.slice(0, assign) : [];
+            const data = assign >= 0 ? statement.slice(assign + 1) : statement;
+            
+            let width = this.arrayElementWidth(declaration.filter(t => t.kind === 'ident').map(t => t.text)) || 1;
+            let negative = null;
+            const groups = [];
+            const isPunct = (t, chars) => t && t.kind === 'punct' && chars.includes(t.text);
+            
+            for (let j = 0; j < data.length; j++) {
+                const token = data[j];
+                const prev = data[j - 1];
+                const next = data[j + 1];
+                
+                if (negative && token.kind !== 'number' && token.kind !== 'char' && !isPunct(token, '-')) {
+                    report(negative, '"-" 后应为数字');
+                    negative = null;
+                }
+                
+                switch (token.kind) {
+                    case 'number':
+                        emit(negative ? -token.value : token.value, token.width || width, token);
+                        negative = null;
+                        break;
+                    case 'char':
+                        emit(negative ? -token.value : token.value, width, token);
+                        negative = null;
+                        break;
+                    case 'string':
+                        emitString(token, token.width || width);
+                        break;
+                    case 'ident': {
+                        const typeWidth = this.arrayElementWidth([token.text]);
+                        if (typeWidth) {
+                            // 强制转换 (byte) 和 Rust 的 "as u8" 不改变元素宽度
+                            const isCast = (isPunct(prev, '(') && isPunct(next, ')')) ||
+                                           (prev && prev.kind === 'ident' && prev.text === 'as');
+                            if (!isCast) width = typeWidth;
+                        } else if (token.text === 'true' || token.text === 'false') {
+                            emit(token.text === 'true' ? 1n : 0n, width, token);
+                        } else if (token.text === 'fromhex' && isPunct(next, '(') &&
+                                   data[j + 2] && data[j + 2].kind === 'string' && isPunct(data[j + 3], ')')) {
+                            const hex = data[j + 2].items.map(item => String.fromCodePoint(item.value)).join('');
+                            try {
+                                this.parseHex(hex).forEach(b => bytes.push(b));
+                            } catch (e) {
+                                report(data[j + 2], e.diagnostic ? e.diagnostic.message : e.message);
+                            }
+                            j += 3;
+                        } else if (!HexDiffCore.ARRAY_KEYWORDS.has(token.text)) {
+                            report(token, `无法识别的标识符 "${token.text}"`);
+                        }
+                        break;
+                    }
+                    case 'punct':
+                        if ('([{<'.includes(token.text)) {
+                            groups.push({ token, start: bytes.length, prev, repeat: null });
+                        } else if (')]}>'.includes(token.text)) {
+                            const open = '([{<'[')]}>'.indexOf(token.text)];
+                            if (groups.length === 0 || groups[groups.length - 1].token.text !== open) {
+                                report(token, `括号 "${token.text}" 不匹配`);
+                                break;
+                            }
+                            const group = groups.pop();
+                            if (open === '<') {
+                                // 模板/泛型参数，如 std::array<uint8_t, 4>
+                                bytes.length = group.start;
+                            }
+                            if (open !== '[') break;
+                            
+                            if (group.repeat) {
+                                // Rust 的 [值; 次数]
+                                const unit = bytes.slice(group.start);
+                                const count = Number(group.repeat.value);
+                                if (unit.length * count > HexDiffCore.MAX_IMAGE_SPAN) {
+                                    diag.fail(group.repeat.index, group.repeat.text.length, '重复次数过大');
+                                }
+                                for (let k = 1; k < count; k++) unit.forEach(b => bytes.push(b));
+                                if (count === 0) bytes.length = group.start;
+                            } else if ((group.prev && group.prev.kind === 'ident') || (next && next.kind === 'ident')) {
+                                // byte[4]、[4]byte 中的数字是长度而不是数据
+                                bytes.length = group.start;
+                            }
+                        } else if (token.text === ';') {
+                            const group = groups[groups.length - 1];
+                            if (!group || group.token.text !== '[' || !next || next.kind !== 'number') {
+                                report(token, '意外的 ";"');
+                                break;
+                            }
+                            group.repeat = next;
+                            j++;
+                        } else if (token.text === '-') {
+                            negative = negative ? null : token;
+                        } else if (!',+&!:.'.includes(token.text)) {
+                            report(token, `意外的符号 "${token.text}"`);
+                        }
+                        break;
+                }
+            }
+            
+            if (negative) report(negative, '"-" 后应为数字');
+            for (const group of groups) report(group.token, `括号 "${group.token.text}" 未闭合`);
+        }
+        
+        return new Uint8Array(bytes);
+    },
+    
+    /**
+     * 由类型名推断数组元素的字节数，无法推断时返回 0
+     */
+    arrayElementWidth(words) {
+        let width = 0;
+        let longs = 0;
+        for (const word of words) {
+            if (HexDiffCore.ARRAY_TYPE_WIDTHS[word]) width = HexDiffCore.ARRAY_TYPE_WIDTHS[word];
+            if (word === 'long') longs++;
+        }
+        // C 的组合类型: unsigned short int、long long 等
+        if (words.includes('char')) return 1;
+        if (words.includes('short')) return 2;
+        if (longs > 0) return longs > 1 || !words.includes('int') ? 8 : 4;
+        return width;
+    },
+    
+    /**
+     * 把数组字面量拆成记号，每个记号带 index（在 text 中的位置）和 text（原文）:
+     *   number - value (BigInt)、width（Rust 后缀 u8/u16... 指定的宽度，否则为 0）
+     *   char   - 单字符的字符字面量，value 为码点 (BigInt)
+     *   string - items 为 { value, raw }，raw 为 \x、八进制转义给出的原始值；width 为前缀 u/U 指定的宽度
+     *   ident / punct
+     * 跳过 // 和块注释以及 # 开头的行（预处理指令、Python 注释）
+     */
+    tokenizeArrayLiteral(text, diag = this.createDiagnostics(text)) {
+        const tokens = [];
+        let i = 0;
+        
+        const matchAt = (regex) => {
+            regex.lastIndex = i;
+            return regex.exec(text);
+        };
+        const pushString = (prefix) => {
+            const token = this.readArrayString(text, i, prefix, diag);
+            if (token) {
+                tokens.push(token);
+                i = token.index + token.text.length;
+            } else {
+                // 未结束的字符串跳到行尾
+                const end = text.indexOf('\n', i);
+                i = end < 0 ? text.length : end;
+            }
+        };
+        
+        while (i < text.length) {
+            const c = text[i];
+            const start = i;
+            
+            if (/\s/.test(c)) {
+                i++;
+                continue;
+            }
+            if (c === '#' || text.startsWith('//', i)) {
+                while (i < text.length && text[i] !== '\n') i++;
+                continue;
+            }
+            if (text.startsWith('/*', i)) {
+                const end = text.indexOf('*/', i + 2);
+                if (end < 0) diag.fail(i, 2, '注释未结束');
+                i = end + 2;
+                continue;
+            }
+            
+            if (/[A-Za-z_]/.test(c)) {
+                const word = matchAt(/[A-Za-z_][A-Za-z0-9_]*/y)[0];
+                const quote = text[i + word.length];
+                if ((quote === '"' || quote === '\'') && HexDiffCore.ARRAY_STRING_PREFIXES.hasOwnProperty(word)) {
+                    pushString(word);
+                } else {
+                    tokens.push({ kind: 'ident', text: word, index: start });
+                    i += word.length;
+                }
+                continue;
+            }
+            
+            if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(text[i + 1] || ''))) {
+                let match;
+                let value = null;
+                let error = null;
+                if ((match = matchAt(/0[xX]([0-9a-fA-F](?:['_]?[0-9a-fA-F])*)/y))) {
+                    value = BigInt('0x' + match[1].replace(/['_]/g, ''));
+                } else if ((match = matchAt(/0[bB]([01](?:['_]?[01])*)/y))) {
+                    value = BigInt('0b' + match[1].replace(/['_]/g, ''));
+                } else if ((match = matchAt(/0[oO]([0-7](?:_?[0-7])*)/y))) {
+                    value = BigInt('0o' + match[1].replace(/_/g, ''));
+                } else if ((match = matchAt(/[0-9](?:['_]?[0-9])*/y))) {
+                    const digits = match[0].replace(/['_]/g, '');
+                    // C 风格的前导 0 表示八进制
+                    if (digits.length > 1 && digits[0] === '0') {
+                        if (/^[0-7]+$/.test(digits)) value = BigInt('0o' + digits.substring(1));
+                        else error = `无效的八进制数 ${match[0]}`;
+                    } else {
+                        value = BigInt(digits);
+                    }
+                }
+                i += match ? match[0].length : 0;
+                
+                const fraction = matchAt(/\.[0-9]*(?:[eE][+-]?[0-9]+)?[fFdD]?/y);
+                if (fraction && (fraction[0].length > 1 || !match)) {
+                    i += fraction[0].length;
+                    error = '不支持浮点数';
+                }
+                
+                const suffix = matchAt(/[A-Za-z_][A-Za-z0-9_]*/y);
+                let width = 0;
+                if (suffix) {
+                    const name = suffix[0].replace(/^_+/, '');
+                    if (/^[iu](8|16|32|64)$/.test(name)) {
+                        width = parseInt(name.substring(1), 10) / 8;
+                    } else if (!/^[uUlLzZ]+$/.test(name)) {
+                        error = error || `无效的数字后缀 "${suffix[0]}"`;
+                    }
+                    i += suffix[0].length;
+                }
+                
+                if (error) diag.report(start, i - start, error);
+                else tokens.push({ kind: 'number', value, width, text: text.substring(start, i), index: start });
+                continue;
+            }
+            
+            if (c === '"' || c === '\'' || c === '`') {
+                pushString('');
+                continue;
+            }
+            
+            if ('{}[]()<>;,=-+&!:*.'.includes(c)) {
+                tokens.push({ kind: 'punct', text: c, index: start });
+                i++;
+                continue;
+            }
+            
+            diag.report(i, 1, `意外的字符 "${c}"`);
+            i++;
+        }
+        
+        return tokens;
+    },
+    
+    /**
+     * 读取前缀 prefix (b、r、u、L...) 加引号开始的字符串或字符字面量，text[i] 为前缀的第一个字符。
+     * 只含一个字符的单引号字面量作为 char 记号，其余作为 string 记号；
+     * 宽松模式下未结束的字符串返回 null，跳过的无效转义不计入内容
+     */
+    readArrayString(text, i, prefix, diag) {
+        const q = i + prefix.length;
+        const quote = text[q];
+        const raw = /r/i.test(prefix) || quote === '`';
+        const isBytes = /b/i.test(prefix);
+        const items = [];
+        let j = q + 1;
+        
+        for (;;) {
+            if (j >= text.length || (text[j] === '\n' && quote !== '`')) {
+                diag.report(i, j - i, '字符串未结束');
+                return null;
+            }
+            const c = text[j];
+            if (c === quote) break;
+            
+            if (c !== '\\' || raw) {
+                const code = text.codePointAt(j);
+                items.push({ value: code, raw: false });
+                j += code > 0xFFFF ? 2 : 1;
+                continue;
+            }
+            
+            const e = text[j + 1];
+            let match;
+            if (HexDiffCore.ARRAY_ESCAPES.hasOwnProperty(e)) {
+                items.push({ value: HexDiffCore.ARRAY_ESCAPES[e], raw: false });
+                j += 2;
+            } else if ((match = /^[0-7]{1,3}/.exec(text.substr(j + 1, 3)))) {
+                items.push({ value: parseInt(match[0], 8), raw: true });
+                j += 1 + match[0].length;
+            } else if (e === 'x') {
+                // Python/Rust 的 \x 固定两位，C 的 \x 取到非十六进制字符为止
+                match = (isBytes ? /^[0-9a-fA-F]{2}/ : /^[0-9a-fA-F]{1,8}/).exec(text.substr(j + 2, 8));
+                if (match) items.push({ value: parseInt(match[0], 16), raw: true });
+                else diag.report(j, 2, '\\x 后缺少十六进制数字');
+                j += 2 + (match ? match[0].length : 0);
+            } else if ((match = /^(?:u\{([0-9a-fA-F]{1,6})\}|u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8}))/.exec(text.substr(j + 1, 10)))) {
+                const code = parseInt(match[1] || match[2] || match[3], 16);
+                if (code <= 0x10FFFF) items.push({ value: code, raw: false });
+                else diag.report(j, 1 + match[0].length, '无效的 Unicode 转义');
+                j += 1 + match[0].length;
+            } else {
+                diag.report(j, 2, `不支持的转义 "\\${e || ''}"`);
+                j += 2;
+            }
+        }
+        
+        const token = { text: text.substring(i, j + 1), index: i };
+        if (quote === '\'' && items.length === 1) {
+            return { kind: 'char', value: BigInt(items[0].value), ...token };
+        }
+        return { kind: 'string', items, width: HexDiffCore.ARRAY_STRING_PREFIXES[prefix] || 0, ...token };
+    },
+    
+    /**
+     * 码点的 UTF-8 编码
+     */
+    encodeCodePoint(code) {
+        if (code < 0x80) return [code];
+        if (code < 0x800) return [0xC0 | (code >> 6), 0x80 | (code & 0x3F)];
+        if (code < 0x10000) return [0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F)];
+        return [0xF0 | (code >> 18), 0x80 | ((code >> 12) & 0x3F), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F)];
+    },
+    
+    parseBase64(text, diag = this.createDiagnostics(text)) {
+        const parts = [];
+        const token = /([A-Za-z0-9+/=]+)|(\s+)|([^A-Za-z0-9+/=\s]+)/y;
+        let last = null;
+        let match;
+        while ((match = token.exec(text))) {
+            if (match[1]) {
+                parts.push(match[1]);
+                last = match;
+            } else if (match[3]) {
+                diag.report(match.index, match[3].length, `无效的 Base64 字符 "${match[3]}"`);
+            }
+        }
+        
+        try {
+            const binary = atob(parts.join(''));
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            return bytes;
+        } catch (e) {
+            // 长度或填充不对，指向最后一段
+            diag.fail(last ? last.index : 0, last ? last[1].length : 0, '无效的 Base64 数据');
+        }
+    },
+    
+    /**
+     * Intel HEX: 数据记录 (00)、结束 (01)、扩展段地址 (02)、起始段地址 (03)、
+     * 扩展线性地址 (04)、起始线性地址 (05)，逐条校验
+     */
+    parseIntelHex(text, info, diag = this.createDiagnostics(text)) {
+        const chunks = [];
+        let upper = 0;
+        let entry = null;
+        const lines = text.split('\n');
+        
+        for (let n = 0, pos = 0; n < lines.length; pos += lines[n].length + 1, n++) {
+            const line = lines[n].trim();
+            if (!line) continue;
+            
+            const index = pos + lines[n].search(/\S/);
+            const report = (message, offset = 0, length = line.length - offset) => {
+                diag.report(index + offset, length, message);
+            };
+            if (line[0] !== ':') {
+                report('不是有效的 Intel HEX 记录');
+                continue;
+            }
+            const bad = line.substring(1).search(/[^0-9a-fA-F]/);
+            if (bad >= 0) {
+                report(`无效的字符 "${line[bad + 1]}"`, bad + 1, 1);
+                continue;
+            }
+            if (line.length % 2 === 0) {
+                report('记录的十六进制位数为奇数');
+                continue;
+            }
+            const record = this.parseHex(line.substring(1));
+            if (record.length < 5 || record.length !== record[0] + 5) {
+                report('记录长度不符');
+                continue;
+            }
+            
+            let sum = 0;
+            for (const b of record) sum += b;
+            if ((sum & 0xFF) !== 0) {
+                report('校验和错误', line.length - 2);
+                continue;
+            }
+            
+            const count = record[0];
+            const address = (record[1] << 8) | record[2];
+            const type = record[3];
+            const data = record.subarray(4, 4 + count);
+            
+            if (type === 0x00) {
+                chunks.push({ address: upper + address, bytes: data, index, length: line.length });
+            } else if (type === 0x01) {
+                break;
+            } else if (type === 0x02 || type === 0x04) {
+                if (count !== 2) {
+                    report(type === 0x02 ? '扩展段地址记录长度错误' : '扩展线性地址记录长度错误');
+                    continue;
+                }
+                upper = ((data[0] << 8) | data[1]) * (type === 0x02 ? 16 : 0x10000);
+            } else if (type === 0x03 || type === 0x05) {
+                if (count !== 4) {
+                    report('起始地址记录长度错误');
+                    continue;
+                }
+                entry = type === 0x03
+                    ? ((data[0] << 8) | data[1]) * 16 + ((data[2] << 8) | data[3])
+                    : ((data[0] << 24) | (data[1] << 16) | (data[2] << 8) | data[3]) >>> 0;
+            } else {
+                report(`未知的记录类型 ${type.toString(16).padStart(2, '0')}`, 7, 2);
+            }
+        }
+        
+        return this.buildImage(chunks, entry, info, diag);
+    },
+    
+    /**
+     * Motorola S-record: S1/S2/S3 为 16/24/32 位地址数据记录，S7/S8/S9 为起始地址，
+     * S0 头部和 S5/S6 计数记录忽略，逐条校验
+     */
+    parseSRecord(text, info, diag = this.createDiagnostics(text)) {
+        const chunks = [];
+        let entry = null;
+        const addressBytes = { 0: 2, 1: 2, 2: 3, 3: 4, 5: 2, 6: 3, 7: 4, 8: 3, 9: 2 };
+        const lines = text.split('\n');
+        
+        for (let n = 0, pos = 0; n < lines.length; pos += lines[n].length + 1, n++) {
+            const line = lines[n].trim();
+            if (!line) continue;
+            
+            const index = pos + lines[n].search(/\S/);
+            const report = (message, offset = 0, length = line.length - offset) => {
+                diag.report(index + offset, length, message);
+            };
+            const type = Number(line[1]);
+            if (line[0] !== 'S' || !(type in addressBytes)) {
+                report('不是有效的 S-record 记录');
+                continue;
+            }
+            const bad = line.substring(2).search(/[^0-9a-fA-F]/);
+            if (bad >= 0) {
+                report(`无效的字符 "${line[bad + 2]}"`, bad + 2, 1);
+                continue;
+            }
+            if (line.length % 2 !== 0) {
+                report('记录的十六进制位数为奇数');
+                continue;
+            }
+            const record = this.parseHex(line.substring(2));
+            const size = addressBytes[type];
+            if (record.length < size + 2 || record.length !== record[0] + 1) {
+                report('记录长度不符');
+                continue;
+            }
+            
+            let sum = 0;
+            for (const b of record) sum += b;
+            if ((sum & 0xFF) !== 0xFF) {
+                report('校验和错误', line.length - 2);
+                continue;
+            }
+            
+            let address = 0;
+            for (let i = 1; i <= size; i++) address = address * 256 + record[i];
+            
+            if (type >= 1 && type <= 3) {
+                chunks.push({ address, bytes: record.subarray(1 + size, record.length - 1), index, length: line.length });
+            } else if (type >= 7) {
+                entry = address;
+            }
+        }
+        
+        return this.buildImage(chunks, entry, info, diag);
+    },
+    
+    /**
+     * 把按地址的数据块拼成连续映像，空洞填 0xFF（擦除后的 Flash）
+     */
+    buildImage(chunks, entry, info, diag = this.createDiagnostics('')) {
+        if (chunks.length === 0) {
+            if (info) Object.assign(info, { base: 0, ranges: [], entry, addressed: true });
+            return new Uint8Array(0);
+        }
+        
+        // 按地址排序，同一地址保持原有顺序
+        chunks.sort((x, y) => x.address - y.address);
+        const base = chunks[0].address;
+        const last = chunks.reduce((a, b) => b.address + b.bytes.length > a.address + a.bytes.length ? b : a);
+        const end = last.address + last.bytes.length;
+        if (end - base > HexDiffCore.MAX_IMAGE_SPAN) {
+            diag.fail(last.index || 0, last.length || 0,
+                `地址范围过大 (0x${base.toString(16).toUpperCase()}-0x${(end - 1).toString(16).toUpperCase()})`);
+        }
+        
+        const bytes = new Uint8Array(end - base).fill(0xFF);
+        const ranges = [];
+        for (const chunk of chunks) {
+            const start = chunk.address - base;
+            const last = ranges[ranges.length - 1];
+            
+            // 与已放置的数据重叠: 内容不同为冲突，后出现的覆盖先出现的
+            if (last && start < last[1]) {
+                const overlapEnd = Math.min(last[1], start + chunk.bytes.length);
+                let conflict = false;
+                for (let i = start; i < overlapEnd; i++) {
+                    if (bytes[i] !== chunk.bytes[i - start]) {
+                        conflict = true;
+                        break;
+                    }
+                }
+                const address = `0x${chunk.address.toString(16).toUpperCase()}`;
+                diag.warn(chunk.index || 0, chunk.length || 0, conflict
+                    ? `${address} 处的数据与前面的数据冲突`
+                    : `${address} 处的数据与前面的数据重叠`);
+            }
+            
+            bytes.set(chunk.bytes, start);
+            if (last && start <= last[1]) last[1] = Math.max(last[1], start + chunk.bytes.length);
+            else ranges.push([start, start + chunk.bytes.length]);
+        }
+        
+        if (info) Object.assign(info, { base, ranges, entry, addressed: true });
+        return bytes;
+    },
+    
+    /**
+     * 有加载地址的映像（Intel HEX / S-record）参与时把各面板放到同一地址空间:
+     * 以最低地址为共同起点，映像前面补空洞；无地址的数据视为从共同起点开始的完整数据。
+     * hexdump 的地址只用于显示，保留各自的基址
+     * 返回 { A: { base, ranges, entry }, ... }
+     */
+    alignImages(result, images, panels) {
+        const addressed = (p) => images[p] && images[p].addressed;
+        const bases = panels.filter(p => addressed(p) && result[p] && result[p].length > 0).map(p => images[p].base);
+        const commonBase = bases.length > 0 ? Math.min(...bases) : 0;
+        const aligned = {};
+        
+        // 补齐前先检查前导空洞，基址相距过远时拒绝比较而不是分配整段填充
+        const hex = (value) => `0x${value.toString(16).toUpperCase()}`;
+        const gap = bases.length > 0 ? Math.max(...bases) - commonBase : 0;
+        if (gap > HexDiffCore.MAX_ALIGN_GAP) {
+            const listed = panels.filter(p => addressed(p) && result[p] && result[p].length > 0)
+                .map(p => `${p} ${hex(images[p].base)}`).join('，');
+            throw new Error(`映像基址相距过远 (${listed}，相距 ${hex(gap)} 字节)，无法按地址对齐比较`);
+        }
+        
+        for (const panel of panels) {
+            const data = result[panel];
+            if (!data) continue;
+            const image = images[panel];
+            if (image && !image.addressed) {
+                aligned[panel] = { base: image.base, ranges: image.ranges, entry: null };
+                continue;
+            }
+            if (!image) {
+                if (bases.length > 0) aligned[panel] = { base: commonBase, ranges: [[0, data.length]], entry: null };
+                continue;
+            }
+            
+            const pad = data.length > 0 ? image.base - commonBase : 0;
+            if (pad > 0) {
+                const padded = new Uint8Array(pad + data.length).fill(0xFF);
+                padded.set(data, pad);
+                result[panel] = padded;
+            }
+            aligned[panel] = {
+                base: commonBase,
+                ranges: image.ranges.map(([start, end]) => [start + pad, end + pad]),
+                entry: image.entry
+            };
+        }
+        return aligned;
+    },
+    
+    /**
+     * A 或 B 的映像中有空洞（或映像间补了地址）时需要按地址对比，否则仍按对齐方式对比
+     */
+    hasHoles(result) {
+        if (!result.images) return false;
+        return ['A', 'B'].some(panel => {
+            const image = result.images[panel];
+            const data = result[panel];
+            if (!image || !data || data.length === 0) return false;
+            return !(image.ranges.length === 1 && image.ranges[0][0] === 0 && image.ranges[0][1] === data.length);
+        });
+    },
+    
+    /**
+     * 按地址逐字节对比两个映像，只有一侧有数据的地址视为新增/删除，两侧都是空洞视为相同
+     */
+    diffByAddress(a, b, rangesA, rangesB) {
+        const hunks = [];
+        const len = Math.max(a.length, b.length);
+        let ia = 0;
+        let ib = 0;
+        const filled = (ranges, index, pos) => index < ranges.length && pos >= ranges[index][0] && pos < ranges[index][1];
+        const classify = (pos) => {
+            while (ia < rangesA.length && rangesA[ia][1] <= pos) ia++;
+            while (ib < rangesB.length && rangesB[ib][1] <= pos) ib++;
+            const fa = filled(rangesA, ia, pos);
+            const fb = filled(rangesB, ib, pos);
+            if (fa && fb) return a[pos] === b[pos] ? 'equal' : 'modified';
+            if (fa) return 'removed';
+            if (fb) return 'added';
+            return 'equal';
+        };
+        
+        let pos = 0;
+        while (pos < len) {
+            const start = pos;
+            const type = classify(pos);
+            const inA = pos < a.length;
+            const inB = pos < b.length;
+            pos++;
+            while (pos < len && (pos < a.length) === inA && (pos < b.length) === inB && classify(pos) === type) pos++;
+            
+            // 超出一侧末尾的部分该侧不占字节，起点与其它对比方式一样取该侧的长度
+            const n = pos - start;
+            hunks.push({
+                type,
+                aStart: inA ? start : a.length, aLen: inA ? n : 0,
+                bStart: inB ? start : b.length, bLen: inB ? n : 0
+            });
+        }
+        return hunks;
+    },
+    
+    /**
+     * 计算 A/B 的对齐结果
+     * 返回 { segments, virtualLength, diffCount }，segments 中每段带有虚拟位置 vStart/vLen，
+     * 删除/插入的一侧留空，使后续相同字节在同一虚拟位置上对齐
+     */
+    buildDiff(a, b, alignMode, onProgress) {
+        const hunks = alignMode === 'offset'
+            ? this.diffByOffset(a, b)
+            : this.diffSequences(a, b, onProgress);
+        return this.segmentsFromHunks(hunks, a, b);
+    },
+    
+    /**
+     * 差异块转为带虚拟位置的段，并统计差异字节数
+     */
+    segmentsFromHunks(hunks, a, b) {
+        const segments = [];
+        let v = 0;
+        let diffCount = 0;
+        for (const hunk of hunks) {
+            const len = Math.max(hunk.aLen, hunk.bLen);
+            segments.push({ ...hunk, vStart: v, vLen: len });
+            
+            if (hunk.type === 'modified') {
+                for (let i = 0; i < len; i++) {
+                    if (a[hunk.aStart + i] !== b[hunk.bStart + i]) diffCount++;
+                }
+            } else if (hunk.type !== 'equal') {
+                diffCount += len;
+            }
+            v += len;
+        }
+        
+        return { segments, virtualLength: v, diffCount };
+    },
+    
+    /**
+     * 编辑后只重新对齐受影响的区域
+     * edit: { panel, offset, removed, inserted }，a、b 为编辑后的数据
+     * 与编辑位置相交的段连同前后各一段重新对比，其后的段按长度变化平移；
+     * 结果的 window: { start, end, delta } 为差异可能变化的虚拟范围（编辑后的位置）与虚拟长度的变化
+     */
+    rediffEdit(segments, a, b, edit, alignMode) {
+        if (alignMode === 'offset' || segments.length === 0) {
+            const result = this.buildDiff(a, b, alignMode);
+            const last = segments[segments.length - 1];
+            const oldLength = last ? last.vStart + last.vLen : 0;
+            // 按偏移对比时只有编辑位置之后的字节会变化，等长覆盖时只有覆盖的字节
+            const offset = alignMode === 'offset';
+            result.window = {
+                start: offset ? Math.min(edit.offset, oldLength) : 0,
+                end: offset && edit.inserted === edit.removed ? edit.offset + edit.inserted : result.virtualLength,
+                delta: result.virtualLength - oldLength
+            };
+            return result;
+        }
+        
+        const startKey = edit.panel === 'A' ? 'aStart' : 'bStart';
+        const lenKey = edit.panel === 'A' ? 'aLen' : 'bLen';
+        const editEnd = edit.offset + edit.removed;
+        const delta = edit.inserted - edit.removed;
+        
+        let lo = 0;
+        while (lo < segments.length - 1 && segments[lo][startKey] + segments[lo][lenKey] < edit.offset) lo++;
+        let hi = lo;
+        while (hi < segments.length - 1 && segments[hi + 1][startKey] <= editEnd) hi++;
+        lo = Math.max(0, lo - 1);
+        hi = Math.min(segments.length - 1, hi + 1);
+        
+        const first = segments[lo];
+        const last = segments[hi];
+        const aStart = first.aStart;
+        const bStart = first.bStart;
+        const aEnd = last.aStart + last.aLen + (edit.panel === 'A' ? delta : 0);
+        const bEnd = last.bStart + last.bLen + (edit.panel === 'B' ? delta : 0);
+        
+        const hunks = this.diffSequences(a.subarray(aStart, aEnd), b.subarray(bStart, bEnd))
+            .map(hunk => ({ ...hunk, aStart: hunk.aStart + aStart, bStart: hunk.bStart + bStart }));
+        const tail = segments.slice(hi + 1).map(seg => ({ ...seg, [startKey]: seg[startKey] + delta }));
+        
+        const result = this.segmentsFromHunks(segments.slice(0, lo).concat(hunks, tail), a, b);
+        const oldLast = segments[segments.length - 1];
+        const next = result.segments[lo + hunks.length];
+        result.window = {
+            start: first.vStart,
+            end: next ? next.vStart : result.virtualLength,
+            delta: result.virtualLength - (oldLast.vStart + oldLast.vLen)
+        };
+        return result;
+    },
+    
+    /**
+     * 按像素行统计差异类型，供差异导航条绘制
+     * 返回 Uint8Array(height)，每项为 BUCKET_* 标志位的组合
+     */
+    bucketSegments(segments, virtualLength, height) {
+        const buckets = new Uint8Array(Math.max(0, Math.floor(height)));
+        if (virtualLength === 0 || buckets.length === 0) return buckets;
+        
+        const flags = {
+            added: HexDiffCore.BUCKET_ADDED,
+            removed: HexDiffCore.BUCKET_REMOVED,
+            modified: HexDiffCore.BUCKET_MODIFIED,
+            'a-only': HexDiffCore.BUCKET_A_ONLY,
+            'b-only': HexDiffCore.BUCKET_B_ONLY,
+            both: HexDiffCore.BUCKET_BOTH,
+            conflict: HexDiffCore.BUCKET_CONFLICT
+        };
+        
+        for (const seg of segments) {
+            if (seg.type === 'equal' || seg.vLen === 0) continue;
+            const first = Math.floor(seg.vStart / virtualLength * buckets.length);
+            const last = Math.min(buckets.length - 1, Math.floor((seg.vStart + seg.vLen - 1) / virtualLength * buckets.length));
+            for (let y = first; y <= last; y++) buckets[y] |= flags[seg.type];
+        }
+        return buckets;
+    },
+    
+    /**
+     * 依次执行解码/变换步骤 steps: [{ name, param }]（见 TRANSFORMS）。
+     * 解压依赖异步的 DecompressionStream，所以返回 Promise
+     */
+    async applyTransforms(bytes, steps) {
+        for (const step of steps) {
+            const transform = HexDiffCore.TRANSFORMS.find(t => t.name === step.name);
+            if (!transform) throw new Error(`未知的变换: ${step.name}`);
+            try {
+                bytes = step.name === 'inflate'
+                    ? await this.inflate(bytes, step.param)
+                    : this.transform(bytes, step.name, step.param);
+            } catch (e) {
+                throw new Error(`${transform.label}: ${e.message}`);
+            }
+        }
+        return bytes;
+    },
+    
+    /**
+     * 同步的变换步骤，param 为用户输入的参数文本
+     */
+    transform(bytes, name, param) {
+        switch (name) {
+            case 'xor': {
+                const key = this.parseHex(param || '');
+                if (key.length === 0) throw new Error('密钥为空');
+                const out = new Uint8Array(bytes.length);
+                for (let i = 0; i < bytes.length; i++) out[i] = bytes[i] ^ key[i % key.length];
+                return out;
+            }
+            case 'base64':
+                return this.parseBase64(this.latin1(bytes));
+            case 'base64url':
+                return this.parseBase64(this.latin1(bytes).replace(/-/g, '+').replace(/_/g, '/'));
+            case 'base32':
+                return this.decodeBase32(this.latin1(bytes));
+            case 'hex':
+                return this.parseHex(this.latin1(bytes));
+            case 'swap': {
+                // 不足一组的尾部保持原样
+                const size = Number(param) || 2;
+                const out = bytes.slice();
+                for (let i = 0; i + size <= bytes.length; i += size) {
+                    for (let k = 0; k < size; k++) out[i + k] = bytes[i + size - 1 - k];
+                }
+                return out;
+            }
+            case 'bitrev': {
+                const out = new Uint8Array(bytes.length);
+                for (let i = 0; i < bytes.length; i++) {
+                    let b = bytes[i];
+                    b = ((b & 0xF0) >> 4) | ((b & 0x0F) << 4);
+                    b = ((b & 0xCC) >> 2) | ((b & 0x33) << 2);
+                    out[i] = ((b & 0xAA) >> 1) | ((b & 0x55) << 1);
+                }
+                return out;
+            }
+            case 'skip':
+                return bytes.slice(Math.min(this.parseCount(param), bytes.length));
+            case 'take':
+                return bytes.slice(0, this.parseCount(param));
+            default:
+                throw new Error(`未知的变换: ${name}`);
+        }
+    },
+    
+    /**
+     * 解压 gzip/zlib/raw deflate，format 为 auto 时按数据头判断
+     */
+    async inflate(bytes, format) {
+        if (typeof DecompressionStream === 'undefined') throw new Error('当前环境不支持 DecompressionStream');
+        if (!format || format === 'auto') {
+            if (bytes[0] === 0x1F && bytes[1] === 0x8B) format = 'gzip';
+            else if (bytes.length >= 2 && (bytes[0] & 0x0F) === 8 && ((bytes[0] << 8) | bytes[1]) % 31 === 0) format = 'zlib';
+            else format = 'raw';
+        }
+        const streamFormat = { gzip: 'gzip', zlib: 'deflate', raw: 'deflate-raw' }[format];
+        if (!streamFormat) throw new Error(`不支持的压缩格式: ${format}`);
+        
+        const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(streamFormat)).getReader();
+        const chunks = [];
+        let total = 0;
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                total += value.length;
+                if (total > HexDiffCore.MAX_IMAGE_SPAN) throw new RangeError('解压后的数据过大');
+                chunks.push(value);
+            }
+        } catch (e) {
+            reader.cancel().catch(() => {});
+            throw e instanceof RangeError ? e : new Error(`不是有效的 ${format} 压缩数据`);
+        }
+        
+        const out = new Uint8Array(total);
+        let pos = 0;
+        for (const chunk of chunks) {
+            out.set(chunk, pos);
+            pos += chunk.length;
+        }
+        return out;
+    },
+    
+    /**
+     * RFC 4648 Base32，忽略空白和结尾的 '='，不区分大小写
+     */
+    decodeBase32(text) {
+        const cleaned = text.replace(/\s+/g, '').replace(/=+$/, '').toUpperCase();
+        const out = new Uint8Array(Math.floor(cleaned.length * 5 / 8));
+        let buffer = 0;
+        let bits = 0;
+        let n = 0;
+        for (let i = 0; i < cleaned.length; i++) {
+            const value = HexDiffCore.BASE32_ALPHABET.indexOf(cleaned[i]);
+            if (value < 0) throw new Error(`无效的 Base32 字符 "${cleaned[i]}"`);
+            buffer = (buffer << 5) | value;
+            bits += 5;
+            if (bits >= 8) {
+                bits -= 8;
+                out[n++] = (buffer >> bits) & 0xFF;
+            }
+        }
+        return out;
+    },
+    
+    /**
+     * 字节逐个映射为字符 (Latin-1)，分块转换避免参数过多
+     */
+    latin1(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return text;
+    },
+    
+    /**
+     * 按文本编码解码 data 中 [start, end) 的字节，返回每个字节一格的数组:
+     *   字符串 - 从该字节开始的可打印字符
+     *   ''     - 多字节字符的后续字节
+     *   null   - 无效或不可打印的字节
+     * 多字节编码从 start 之前的字符边界开始解码，跨越 start 的字符只占用后续字节的格子；
+     * 起始于 end 之前的字符即使延伸到 end 之后也完整解码
+     * encoding: ascii | latin1 | utf-8 | utf-16le | utf-16be | gb18030 | shift_jis | ebcdic
+     */
+    decodeText(data, start, end, encoding) {
+        const cells = new Array(Math.max(0, end - start)).fill(null);
+        const decoder = ['ascii', 'latin1', 'ebcdic'].includes(encoding)
+            ? null
+            : new TextDecoder(encoding, { fatal: true });
+
+        let pos = this.textBoundary(data, start, encoding);
+        while (pos < end) {
+            const { length, char } = this.decodeTextChar(data, pos, encoding, decoder);
+            for (let k = 0; k < length; k++) {
+                const i = pos + k - start;
+                if (i >= 0 && i < cells.length) cells[i] = k === 0 ? char : '';
+            }
+            pos += length;
+        }
+        return cells;
+    },
+
+    /**
+     * 找到不晚于 start 的字符起始位置
+     */
+    textBoundary(data, start, encoding) {
+        const limit = HexDiffCore.TEXT_SYNC_LIMIT;
+        switch (encoding) {
+            case 'utf-8': {
+                // 后续字节都是 10xxxxxx，一个字符最多 3 个后续字节
+                let pos = start;
+                while (pos > 0 && start - pos < 3 && (data[pos] & 0xC0) === 0x80) pos--;
+                return pos;
+            }
+            case 'utf-16le':
+            case 'utf-16be': {
+                // 以数据开头按 2 字节对齐；代理对的低半部分归入前面的高半部分
+                let pos = start - (start % 2);
+                if (pos >= 2 &&
+                    this.isLowSurrogate(this.utf16Unit(data, pos, encoding)) &&
+                    this.isHighSurrogate(this.utf16Unit(data, pos - 2, encoding))) {
+                    pos -= 2;
+                }
+                return pos;
+            }
+            case 'gb18030': {
+                // 0x81-0xFE 既可作首字节也可作尾字节，前面紧邻的这类字节有奇数个时 start 是尾字节
+                let run = 0;
+                while (run < limit && start - run > 0 &&
+                       data[start - run - 1] >= 0x81 && data[start - run - 1] <= 0xFE) {
+                    run++;
+                }
+                return start - (run % 2);
+            }
+            case 'shift_jis': {
+                // 小于 0x40 的字节不会出现在双字节字符中，从它之后开始解码
+                let pos = start;
+                while (pos > 0 && start - pos < limit && data[pos - 1] >= 0x40) pos--;
+                return pos;
+            }
+            default:
+                return start;
+        }
+    },
+
+    /**
+     * 解码 pos 处的一个字符，返回 { length, char }；无效字节的 length 为 1、char 为 null
+     */
+    decodeTextChar(data, pos, encoding, decoder) {
+        const b = data[pos];
+        const invalid = { length: 1, char: null };
+        let length;
+
+        switch (encoding) {
+            case 'ascii':
+                return { length: 1, char: b >= 32 && b < 127 ? String.fromCharCode(b) : null };
+            case 'latin1':
+                return this.printableChar(String.fromCharCode(b), 1);
+            case 'ebcdic':
+                return this.printableChar(HexDiffCore.EBCDIC_037[b - 0x40], 1);
+            case 'utf-8':
+                length = b < 0x80 ? 1
+                    : b >= 0xC2 && b <= 0xDF ? 2
+                    : b >= 0xE0 && b <= 0xEF ? 3
+                    : b >= 0xF0 && b <= 0xF4 ? 4
+                    : 0;
+                break;
+            case 'utf-16le':
+            case 'utf-16be': {
+                if (pos + 2 > data.length) return invalid;
+                // 不成对的代理仍占一个 2 字节码元，显示为 U+FFFD，后面的码元保持对齐
+                const unpaired = { length: 2, char: '\uFFFD' };
+                const unit = this.utf16Unit(data, pos, encoding);
+                if (this.isLowSurrogate(unit)) return unpaired;
+                if (this.isHighSurrogate(unit)) {
+                    if (pos + 4 > data.length || !this.isLowSurrogate(this.utf16Unit(data, pos + 2, encoding))) return unpaired;
+                    length = 4;
+                } else {
+                    length = 2;
+                }
+                break;
+            }
+            case 'gb18030':
+                if (b < 0x80) length = 1;
+                else if (b === 0x80 || b === 0xFF) length = 0;
+                else length = data[pos + 1] >= 0x30 && data[pos + 1] <= 0x39 ? 4 : 2;
+                break;
+            case 'shift_jis':
+                if (b < 0x80 || (b >= 0xA1 && b <= 0xDF)) length = 1;
+                else length = (b >= 0x81 && b <= 0x9F) || (b >= 0xE0 && b <= 0xFC) ? 2 : 0;
+                break;
+            default:
+                return invalid;
+        }
+
+        if (length === 0 || pos + length > data.length) return invalid;
+        if (length === 1 && b < 0x80) return this.printableChar(String.fromCharCode(b), 1);
+        try {
+            return this.printableChar(decoder.decode(data.subarray(pos, pos + length)), length);
+        } catch (e) {
+            return invalid;
+        }
+    },
+
+    printableChar(char, length) {
+        return { length, char: char && !HexDiffCore.TEXT_NON_PRINTABLE.test(char) ? char : null };
+    },
+
+    utf16Unit(data, pos, encoding) {
+        return encoding === 'utf-16le'
+            ? data[pos] | (data[pos + 1] << 8)
+            : (data[pos] << 8) | data[pos + 1];
+    },
+
+    isHighSurrogate(unit) {
+        return unit >= 0xD800 && unit <= 0xDBFF;
+    },
+
+    isLowSurrogate(unit) {
+        return unit >= 0xDC00 && unit <= 0xDFFF;
+    },
+
+    /**
+     * 字节的香农熵（比特/字节，0-8）
+     */
+    entropy(bytes) {
+        if (bytes.length === 0) return 0;
+        const counts = new Uint32Array(256);
+        for (let i = 0; i < bytes.length; i++) counts[bytes[i]]++;
+        let h = 0;
+        for (let i = 0; i < 256; i++) {
+            if (counts[i] === 0) continue;
+            const p = counts[i] / bytes.length;
+            h -= p * Math.log2(p);
+        }
+        return h;
+    },
+    
+    /**
+     * 解析字节数参数，支持十进制和 0x 十六进制
+     */
+    parseCount(text) {
+        const value = String(text || '').trim();
+        if (/^0x[0-9a-f]+$/i.test(value)) return parseInt(value, 16);
+        if (/^[0-9]+$/.test(value)) return parseInt(value, 10);
+        throw new Error(`无效的字节数 "${value}"`);
+    },
+    
+    /**
+     * 完整的对比任务: 解析两侧输入、计算对齐结果和导航条统计
+     * job: { id, inputs: { A, B, Base? }, threeWay, alignMode, gutterHeight }
+     *   输入为 { text, format, endian, lenient } 时按格式解析，为 { bytes } 时直接使用原始字节（文件数据源）；
+     *   解析诊断以 { list, total, skipped } 放在 result.diagnostics[panel]；
+     *   输入带 transforms 时在解析后、对比前依次执行这些变换（见 applyTransforms）
+     *   threeWay 为 true 时以 inputs.Base 为基准做三方对比
+     * onProgress({ phase, percent }) 用于报告进度。变换可能是异步的，所以返回 Promise
+     */
+    async runCompare(job, onProgress) {
+        const report = (phase, percent) => {
+            if (onProgress) onProgress({ phase, percent });
+        };
+        
+        const result = { id: job.id, A: null, B: null, errors: {}, diagnostics: {}, images: null };
+        const panels = Object.keys(job.inputs);
+        const images = {};
+        
+        panels.forEach((panel, index) => {
+            report(`解析 ${panel}`, index * 3);
+            const input = job.inputs[panel];
+            if (input.bytes) {
+                result[panel] = input.bytes;
+                return;
+            }
+            const info = {};
+            try {
+                result[panel] = this.parseInput(input.text, input.format, info, { endian: input.endian, lenient: input.lenient });
+                if (info.ranges) images[panel] = info;
+            } catch (e) {
+                result.errors[panel] = e.message;
+            }
+            if (info.diagnostics && info.diagnostics.total > 0) result.diagnostics[panel] = info.diagnostics.summary();
+        });
+        
+        // 解码/变换流水线；变换后的数据不再对应原来的地址
+        for (const panel of panels) {
+            const steps = job.inputs[panel].transforms;
+            if (!steps || steps.length === 0 || !result[panel]) continue;
+            report(`变换 ${panel}`, 8);
+            try {
+                result[panel] = await this.applyTransforms(result[panel], steps);
+            } catch (e) {
+                result[panel] = null;
+                result.errors[panel] = `变换失败: ${e.message}`;
+            }
+            delete images[panel];
+        }
+        
+        // 带地址的映像按地址对齐后比较
+        if (Object.keys(images).length > 0) {
+            try {
+                result.images = this.alignImages(result, images, panels);
+            } catch (e) {
+                for (const panel of Object.keys(images)) {
+                    result[panel] = null;
+                    result.errors[panel] = e.message;
+                }
+            }
+        }
+        
+        result.segments = [];
+        result.virtualLength = 0;
+        result.diffCount = 0;
+        
+        if (job.threeWay) {
+            if (result.Base || result.A || result.B) {
+                report('三方对比', 10);
+                Object.assign(result, this.buildThreeWay(
+                    result.Base || new Uint8Array(0),
+                    result.A || new Uint8Array(0),
+                    result.B || new Uint8Array(0)
+                ));
+            }
+        } else if (this.hasHoles(result) && (result.A || result.B)) {
+            report('按地址对比', 10);
+            const a = result.A || new Uint8Array(0);
+            const b = result.B || new Uint8Array(0);
+            const ranges = (panel) => result.images[panel] ? result.images[panel].ranges : [];
+            Object.assign(result, this.segmentsFromHunks(this.diffByAddress(a, b, ranges('A'), ranges('B')), a, b));
+        } else if (result.A || result.B) {
+            report('对比', 10);
+            const diff = this.buildDiff(
+                result.A || new Uint8Array(0),
+                result.B || new Uint8Array(0),
+                job.alignMode,
+                (fraction) => report('对比', 10 + Math.round(fraction * 85))
+            );
+            Object.assign(result, diff);
+        }
+        
+        report('生成导航', 95);
+        result.regions = this.diffRegions(result.segments, result.A || new Uint8Array(0), result.B || new Uint8Array(0));
+        result.gutter = this.bucketSegments(result.segments, result.virtualLength, job.gutterHeight);
+        
+        return result;
+    },
+    
+    /**
+     * 三方对比: 以 base 为共同基准按偏移逐字节分类
+     *   a-only   - 仅 A 改动
+     *   b-only   - 仅 B 改动
+     *   both     - A、B 改成了相同的值
+     *   conflict - A、B 改成了不同的值
+     * 超出某一侧长度的位置视为该侧已删除；该侧在段内不占字节，渲染为空隙
+     */
+    buildThreeWay(base, a, b) {
+        const len = Math.max(base.length, a.length, b.length);
+        const valueAt = (data, i) => i < data.length ? data[i] : -1;
+        const classify = (i) => {
+            const o = valueAt(base, i);
+            const x = valueAt(a, i);
+            const y = valueAt(b, i);
+            if (x === o) return y === o ? 'equal' : 'b-only';
+            if (y === o) return 'a-only';
+            return x === y ? 'both' : 'conflict';
+        };
+        
+        const segments = [];
+        let diffCount = 0;
+        let conflictCount = 0;
+        let i = 0;
+        while (i < len) {
+            const start = i;
+            const type = classify(i);
+            const inA = i < a.length;
+            const inB = i < b.length;
+            i++;
+            while (i < len && (i < a.length) === inA && (i < b.length) === inB && classify(i) === type) i++;
+            
+            const n = i - start;
+            segments.push({
+                type,
+                aStart: start, aLen: inA ? n : 0,
+                bStart: start, bLen: inB ? n : 0,
+                vStart: start, vLen: n
+            });
+            if (type !== 'equal') diffCount += n;
+            if (type === 'conflict') conflictCount += n;
+        }
+        
+        return { segments, virtualLength: len, diffCount, conflictCount };
+    },
+    
+    /**
+     * 合并三方对比结果，冲突位置取 prefer ('A' 或 'B') 一侧的值；
+     * 被某一侧删除的尾部字节不写入结果
+     */
+    mergeThreeWay(base, a, b, prefer) {
+        const len = Math.max(base.length, a.length, b.length);
+        const merged = new Uint8Array(len);
+        let n = 0;
+        
+        for (let i = 0; i < len; i++) {
+            const o = i < base.length ? base[i] : -1;
+            const x = i < a.length ? a[i] : -1;
+            const y = i < b.length ? b[i] : -1;
+            
+            let value;
+            if (x === o) value = y;
+            else if (y === o || x === y) value = x;
+            else value = prefer === 'B' ? y : x;
+            
+            if (value >= 0) merged[n++] = value;
+        }
+        return merged.slice(0, n);
+    },
+    
+    /**
+     * 编译搜索条件
+     *   hex   - 十六进制字节，?? 匹配任意字节，A? / ?A 匹配半字节
+     *   ascii - 文本按 UTF-8 编码（ASCII 即单字节）
+     *   utf16 - 文本按 UTF-16LE 编码
+     *   regex - 正则表达式，数据按 Latin-1 逐字节映射为字符后匹配
+     * 返回 { bytes, mask, ignoreCase } 或 { regex }
+     */
+    compileSearch(query, mode, ignoreCase) {
+        if (mode === 'regex') {
+            return { regex: new RegExp(query, ignoreCase ? 'gi' : 'g') };
+        }
+        
+        let bytes;
+        let mask;
+        if (mode === 'hex') {
+            const digits = query.replace(/0x/gi, '').replace(/[\s,]/g, '');
+            if (!/^[0-9a-fA-F?]*$/.test(digits)) throw new Error('包含无效的十六进制字符');
+            if (digits.length % 2 !== 0) throw new Error('十六进制字符数必须为偶数');
+            
+            bytes = new Uint8Array(digits.length / 2);
+            mask = new Uint8Array(digits.length / 2);
+            for (let i = 0; i < bytes.length; i++) {
+                const high = digits[i * 2];
+                const low = digits[i * 2 + 1];
+                bytes[i] = (high === '?' ? 0 : parseInt(high, 16) << 4) | (low === '?' ? 0 : parseInt(low, 16));
+                mask[i] = (high === '?' ? 0 : 0xF0) | (low === '?' ? 0 : 0x0F);
+            }
+            ignoreCase = false;
+        } else if (mode === 'utf16') {
+            bytes = new Uint8Array(query.length * 2);
+            for (let i = 0; i < query.length; i++) {
+                const code = query.charCodeAt(i);
+                bytes[i * 2] = code & 0xFF;
+                bytes[i * 2 + 1] = code >> 8;
+            }
+            mask = new Uint8Array(bytes.length).fill(0xFF);
+        } else {
+            bytes = new TextEncoder().encode(query);
+            mask = new Uint8Array(bytes.length).fill(0xFF);
+        }
+        
+        if (ignoreCase) bytes = bytes.map(b => this.foldCase(b));
+        return { bytes, mask, ignoreCase: !!ignoreCase };
+    },
+    
+    foldCase(b) {
+        return b >= 0x41 && b <= 0x5A ? b + 0x20 : b;
+    },
+    
+    /**
+     * 在 data 中查找不重叠的匹配，返回 [{ start, end }]，最多 limit 个
+     * 字节模式用 Boyer-Moore-Horspool，通配位置按可匹配的所有字节计算跳转表
+     */
+    searchData(data, pattern, limit) {
+        const matches = [];
+        if (!data || data.length === 0) return matches;
+        
+        if (pattern.regex) {
+            const regex = pattern.regex;
+            const text = this.latin1(data);
+            regex.lastIndex = 0;
+            let match;
+            while (matches.length < limit && (match = regex.exec(text)) !== null) {
+                if (match[0].length === 0) {
+                    regex.lastIndex++;
+                    continue;
+                }
+                matches.push({ start: match.index, end: match.index + match[0].length });
+            }
+            return matches;
+        }
+        
+        const { bytes, mask, ignoreCase } = pattern;
+        const m = bytes.length;
+        if (m === 0 || m > data.length) return matches;
+        
+        const fold = new Uint8Array(256);
+        for (let c = 0; c < 256; c++) fold[c] = ignoreCase ? this.foldCase(c) : c;
+        
+        // 跳转表: 窗口末字节为 c 时可安全右移的距离
+        const shift = new Uint32Array(256).fill(m);
+        for (let j = 0; j < m - 1; j++) {
+            if (mask[j] === 0xFF && !ignoreCase) {
+                shift[bytes[j]] = m - 1 - j;
+                continue;
+            }
+            for (let c = 0; c < 256; c++) {
+                if ((fold[c] & mask[j]) === bytes[j]) shift[c] = m - 1 - j;
+            }
+        }
+        
+        let i = 0;
+        while (i <= data.length - m && matches.length < limit) {
+            let j = m - 1;
+            while (j >= 0 && (fold[data[i + j]] & mask[j]) === bytes[j]) j--;
+            if (j < 0) {
+                matches.push({ start: i, end: i + m });
+                i += m;
+            } else {
+                i += shift[data[i + m - 1]];
+            }
+        }
+        return matches;
+    },
+    
+    /**
+     * 解读 offset 处的字节，返回 [{ key, label, value }]，字节不足的字段 value 为 null
+     * textLength 为文本字段解码的字节数（选区长度），至少解码一个字符
+     */
+    inspectBytes(data, offset, littleEndian, textLength = 1) {
+        const available = Math.max(0, data.length - offset);
+        const view = new DataView(data.buffer, data.byteOffset + Math.min(offset, data.length), available);
+        const fields = [];
+        const add = (key, label, size, read) => {
+            fields.push({ key, label, value: available >= size ? String(read()) : null });
+        };
+        
+        add('int8', 'Int8', 1, () => view.getInt8(0));
+        add('uint8', 'UInt8', 1, () => view.getUint8(0));
+        add('int16', 'Int16', 2, () => view.getInt16(0, littleEndian));
+        add('uint16', 'UInt16', 2, () => view.getUint16(0, littleEndian));
+        add('int32', 'Int32', 4, () => view.getInt32(0, littleEndian));
+        add('uint32', 'UInt32', 4, () => view.getUint32(0, littleEndian));
+        add('int64', 'Int64', 8, () => view.getBigInt64(0, littleEndian));
+        add('uint64', 'UInt64', 8, () => view.getBigUint64(0, littleEndian));
+        add('float32', 'Float32', 4, () => view.getFloat32(0, littleEndian));
+        add('float64', 'Float64', 8, () => view.getFloat64(0, littleEndian));
+        add('binary', '二进制', 1, () => view.getUint8(0).toString(2).padStart(8, '0'));
+        add('octal', '八进制', 1, () => '0' + view.getUint8(0).toString(8));
+        add('time32', 'Unix 时间', 4, () => {
+            const seconds = view.getUint32(0, littleEndian);
+            return new Date(seconds * 1000).toISOString().replace('T', ' ').replace('.000Z', ' UTC');
+        });
+        // GUID 按 Windows 内存布局: 前三段小端，其余按字节顺序
+        add('guid', 'GUID', 16, () => {
+            const hex = (from, to) => Array.from(data.subarray(offset + from, offset + to))
+                .map(b => b.toString(16).toUpperCase().padStart(2, '0')).join('');
+            const d1 = view.getUint32(0, true).toString(16).toUpperCase().padStart(8, '0');
+            const d2 = view.getUint16(4, true).toString(16).toUpperCase().padStart(4, '0');
+            const d3 = view.getUint16(6, true).toString(16).toUpperCase().padStart(4, '0');
+            return `{${d1}-${d2}-${d3}-${hex(8, 10)}-${hex(10, 16)}}`;
+        });
+        
+        // 文本: 解码选区内的字节，选区不足一个字符时按首字节补足
+        const lead = available > 0 ? data[offset] : 0;
+        const utf8CharLength = lead >= 0xF0 ? 4 : lead >= 0xE0 ? 3 : lead >= 0xC0 ? 2 : 1;
+        const utf8Length = Math.min(Math.max(textLength, utf8CharLength), HexDiffCore.INSPECT_TEXT_LIMIT);
+        add('utf8', 'UTF-8', utf8CharLength, () => {
+            const bytes = data.subarray(offset, offset + utf8Length);
+            return JSON.stringify(new TextDecoder('utf-8').decode(bytes));
+        });
+        const utf16Length = Math.min(Math.max(textLength, 2), HexDiffCore.INSPECT_TEXT_LIMIT) & ~1;
+        add('utf16', littleEndian ? 'UTF-16LE' : 'UTF-16BE', 2, () => {
+            const bytes = data.subarray(offset, offset + Math.min(utf16Length, available & ~1));
+            return JSON.stringify(new TextDecoder(littleEndian ? 'utf-16le' : 'utf-16be').decode(bytes));
+        });
+        
+        return fields;
+    },
+    
+    /**
+     * 解析结构模板（类 C 语法），返回 { structs, root, littleEndian }
+     *
+     *   #pragma endian big          // 默认字节序，缺省为小端
+     *   struct Item { uint16 id; char name[8]; };
+     *   struct Header {
+     *       uint32 magic;
+     *       be uint16 length;       // 字段前缀 be / le 覆盖默认字节序
+     *       uint8 count;
+     *       Item items[count];      // 数组长度可引用前面的字段
+     *   };
+     *
+     * 最后定义的结构为根结构；结构只能引用已定义的结构
+     */
+    parseTemplate(text) {
+        const tokens = [];
+        const tokenRe = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|#[^\n]*|0x[0-9a-fA-F]+|\d+|[A-Za-z_]\w*|[{}\[\];]|\S/g;
+        let match;
+        let line = 1;
+        let lastIndex = 0;
+        while ((match = tokenRe.exec(text)) !== null) {
+            line += this.countLines(text, lastIndex, match.index);
+            lastIndex = match.index;
+            const value = match[0];
+            if (value.startsWith('//') || value.startsWith('/*')) continue;
+            tokens.push({ value, line });
+        }
+        
+        const template = { structs: {}, root: null, littleEndian: true };
+        let pos = 0;
+        const fail = (message, token) => {
+            const at = token || tokens[tokens.length - 1];
+            throw new Error(at ? `第 ${at.line} 行: ${message}` : message);
+        };
+        const next = () => {
+            if (pos >= tokens.length) fail('模板意外结束');
+            return tokens[pos++];
+        };
+        const expect = (value) => {
+            const token = next();
+            if (token.value !== value) fail(`应为 "${value}"，实际为 "${token.value}"`, token);
+            return token;
+        };
+        const identifier = () => {
+            const token = next();
+            if (!/^[A-Za-z_]\w*$/.test(token.value)) fail(`无效的名称 "${token.value}"`, token);
+            return token;
+        };
+        
+        while (pos < tokens.length) {
+            const token = next();
+            
+            if (token.value.startsWith('#')) {
+                const pragma = token.value.match(/^#\s*pragma\s+endian\s+(big|little)\s*$/);
+                if (!pragma) fail(`不支持的指令 "${token.value.trim()}"`, token);
+                template.littleEndian = pragma[1] === 'little';
+                continue;
+            }
+            if (token.value !== 'struct') fail(`应为 "struct"，实际为 "${token.value}"`, token);
+            
+            const nameToken = identifier();
+            if (template.structs[nameToken.value] || HexDiffCore.TEMPLATE_TYPES[nameToken.value]) {
+                fail(`重复定义的类型 "${nameToken.value}"`, nameToken);
+            }
+            const struct = { name: nameToken.value, fields: [] };
+            expect('{');
+            
+            while (pos < tokens.length && tokens[pos].value !== '}') {
+                let endian = null;
+                let typeToken = identifier();
+                if (typeToken.value === 'be' || typeToken.value === 'le') {
+                    endian = typeToken.value;
+                    typeToken = identifier();
+                }
+                const type = typeToken.value;
+                if (!HexDiffCore.TEMPLATE_TYPES[type] && !template.structs[type]) {
+                    fail(`未知类型 "${type}"`, typeToken);
+                }
+                
+                const fieldToken = identifier();
+                if (struct.fields.some(f => f.name === fieldToken.value)) {
+                    fail(`重复的字段名 "${fieldToken.value}"`, fieldToken);
+                }
+                const field = { name: fieldToken.value, type, endian, count: null };
+                
+                if (tokens[pos] && tokens[pos].value === '[') {
+                    pos++;
+                    const countToken = next();
+                    if (/^(0x[0-9a-fA-F]+|\d+)$/.test(countToken.value)) {
+                        field.count = Number(countToken.value);
+                    } else {
+                        const ref = struct.fields.find(f => f.name === countToken.value);
+                        if (!ref || !HexDiffCore.TEMPLATE_TYPES[ref.type] || ref.count !== null) {
+                            fail(`数组长度 "${countToken.value}" 必须是数字或前面的整数字段`, countToken);
+                        }
+                        field.count = countToken.value;
+                    }
+                    expect(']');
+                }
+                expect(';');
+                struct.fields.push(field);
+            }
+            
+            expect('}');
+            if (tokens[pos] && tokens[pos].value === ';') pos++;
+            if (struct.fields.length === 0) fail(`结构 "${struct.name}" 没有字段`, nameToken);
+            
+            template.structs[struct.name] = struct;
+            template.root = struct.name;
+        }
+        
+        if (!template.root) throw new Error('模板中没有结构定义');
+        return template;
+    },
+    
+    countLines(text, from, to) {
+        let n = 0;
+        for (let i = from; i < to; i++) {
+            if (text.charCodeAt(i) === 10) n++;
+        }
+        return n;
+    },
+    
+    /**
+     * 按模板解读 offset 处的数据，返回字段树
+     * 节点: { name, path, type, offset, size, value, children }，越过数据末尾的字段 value 为 null
+     * 叶子（基本类型及基本类型数组）另外收集到 fields 中，按偏移排序，供渲染着色
+     */
+    applyTemplate(template, data, offset) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const fields = [];
+        let nodeCount = 0;
+        
+        const readPrimitive = (type, at, littleEndian) => {
+            const info = HexDiffCore.TEMPLATE_TYPES[type];
+            if (at < 0 || at + info.size > data.length) return null;
+            if (info.read === 'char') {
+                const b = data[at];
+                return b >= 32 && b < 127 ? `'${String.fromCharCode(b)}' (${b})` : String(b);
+            }
+            return String(view[`get${info.read}`](at, littleEndian));
+        };
+        
+        const decodeArray = (field, info, count, at, path, littleEndian) => {
+            const size = info.size * count;
+            const node = { name: field.name, path, type: `${field.type}[${count}]`, offset: at, size, value: null, children: null };
+            
+            if (field.type === 'char') {
+                // 字符数组按字符串显示
+                if (at + size <= data.length) {
+                    const chars = Array.from(data.subarray(at, at + size), b =>
+                        b >= 32 && b < 127 ? String.fromCharCode(b) : `\\x${b.toString(16).padStart(2, '0')}`);
+                    node.value = `"${chars.join('')}"`;
+                }
+                return node;
+            }
+            
+            node.children = [];
+            const shown = Math.min(count, Math.max(0, HexDiffCore.TEMPLATE_MAX_NODES - nodeCount));
+            for (let i = 0; i < shown; i++) {
+                nodeCount++;
+                const elementAt = at + i * info.size;
+                node.children.push({
+                    name: `[${i}]`, path: `${path}[${i}]`, type: field.type,
+                    offset: elementAt, size: info.size,
+                    value: readPrimitive(field.type, elementAt, littleEndian), children: null
+                });
+            }
+            node.value = at + size <= data.length ? `${count} 项` : null;
+            if (shown < count) node.truncated = count - shown;
+            return node;
+        };
+        
+        const decodeStruct = (struct, at, path, name) => {
+            const node = { name, path, type: struct.name, offset: at, size: 0, value: '', children: [] };
+            const values = {};
+            let cursor = at;
+            
+            for (const field of struct.fields) {
+                if (nodeCount >= HexDiffCore.TEMPLATE_MAX_NODES) {
+                    node.truncated = true;
+                    break;
+                }
+                nodeCount++;
+                
+                const fieldPath = path ? `${path}.${field.name}` : field.name;
+                const littleEndian = field.endian ? field.endian === 'le' : template.littleEndian;
+                let count = field.count;
+                if (typeof count === 'string') {
+                    // 引用的长度字段不在数据范围内时按 0 处理
+                    count = values[count] === null ? 0 : Number(values[count]);
+                    if (!Number.isSafeInteger(count) || count < 0) count = 0;
+                }
+                
+                const info = HexDiffCore.TEMPLATE_TYPES[field.type];
+                let child;
+                if (info && count === null) {
+                    const value = readPrimitive(field.type, cursor, littleEndian);
+                    values[field.name] = info.read === 'char' && value !== null ? String(data[cursor]) : value;
+                    child = { name: field.name, path: fieldPath, type: field.type, offset: cursor, size: info.size, value, children: null };
+                    fields.push(child);
+                } else if (info) {
+                    child = decodeArray(field, info, count, cursor, fieldPath, littleEndian);
+                    fields.push(child);
+                } else if (count === null) {
+                    child = decodeStruct(template.structs[field.type], cursor, fieldPath, field.name);
+                } else {
+                    const sub = template.structs[field.type];
+                    child = { name: field.name, path: fieldPath, type: `${field.type}[${count}]`, offset: cursor, size: 0, value: `${count} 项`, children: [] };
+                    let elementAt = cursor;
+                    for (let i = 0; i < count; i++) {
+                        if (nodeCount >= HexDiffCore.TEMPLATE_MAX_NODES) {
+                            child.truncated = count - i;
+                            break;
+                        }
+                        const element = decodeStruct(sub, elementAt, `${fieldPath}[${i}]`, `[${i}]`);
+                        child.children.push(element);
+                        elementAt += element.size;
+                    }
+                    child.size = elementAt - cursor;
+                }
+                
+                node.children.push(child);
+                cursor += child.size;
+            }
+            
+            node.size = cursor - at;
+            if (at + node.size > data.length) node.value = null;
+            return node;
+        };
+        
+        const root = decodeStruct(template.structs[template.root], offset, '', template.root);
+        fields.sort((x, y) => x.offset - y.offset);
+        return { root, fields };
+    },
+    
+    /**
+     * CRC-32 (IEEE 802.3)，用于补丁校验
+     */
+    crc32(bytes) {
+        if (!HexDiffCore.crc32Table) {
+            const table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                table[n] = c >>> 0;
+            }
+            HexDiffCore.crc32Table = table;
+        }
+        
+        const table = HexDiffCore.crc32Table;
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+    
+    /**
+     * 后台计算校验值/摘要，job: { id, kind: 'hash', inputs: { A: Uint8Array, B: Uint8Array } }
+     * 返回 { A: { 算法名: computeHash 的结果 }, ... }；每个算法之间让出一次，使进度消息及时发出
+     */
+    async runHashes(job, onProgress) {
+        const panels = Object.keys(job.inputs);
+        const algorithms = HexDiffCore.HASH_ALGORITHMS;
+        const total = panels.length * algorithms.length;
+        const result = {};
+        let step = 0;
+        for (const panel of panels) {
+            result[panel] = {};
+            for (const algorithm of algorithms) {
+                if (onProgress) onProgress({ phase: `校验 ${panel}`, percent: Math.round(step++ / total * 100) });
+                await new Promise(resolve => setTimeout(resolve, 0));
+                result[panel][algorithm.name] = this.computeHash(algorithm.name, job.inputs[panel]);
+            }
+        }
+        return result;
+    },
+    
+    /**
+     * 计算校验值/摘要，name 取自 HASH_ALGORITHMS
+     * 返回 { hex, value, width }；CRC 与 Adler-32 的 value 为数值、width 为字节数，摘要算法 value 为 null
+     */
+    computeHash(name, bytes) {
+        const algorithm = HexDiffCore.HASH_ALGORITHMS.find(a => a.name === name);
+        if (!algorithm) throw new Error(`不支持的算法: ${name}`);
+        
+        let value;
+        if (algorithm.crc) value = this.crc(bytes, algorithm.crc);
+        else if (name === 'CRC-32') value = this.crc32(bytes);
+        else if (name === 'Adler-32') value = this.adler32(bytes);
+        else {
+            const digest = name === 'MD5' ? this.md5(bytes) : name === 'SHA-1' ? this.sha1(bytes) : this.sha256(bytes);
+            const hex = Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+            return { hex, value: null, width: 0 };
+        }
+        return { hex: value.toString(16).toUpperCase().padStart(algorithm.width * 2, '0'), value, width: algorithm.width };
+    },
+    
+    /**
+     * 通用 CRC（8/16 位），spec: { width, poly, init, refIn, refOut, xorOut }
+     */
+    crc(bytes, spec) {
+        const top = 1 << (spec.width - 1);
+        const mask = (1 << spec.width) - 1;
+        const reflect = (v, bits) => {
+            let r = 0;
+            for (let i = 0; i < bits; i++) r = (r << 1) | ((v >>> i) & 1);
+            return r;
+        };
+        
+        let crc = spec.init;
+        for (let i = 0; i < bytes.length; i++) {
+            const b = spec.refIn ? reflect(bytes[i], 8) : bytes[i];
+            crc ^= b << (spec.width - 8);
+            for (let k = 0; k < 8; k++) {
+                crc = crc & top ? ((crc << 1) ^ spec.poly) & mask : (crc << 1) & mask;
+            }
+        }
+        if (spec.refOut) crc = reflect(crc, spec.width);
+        return (crc ^ spec.xorOut) & mask;
+    },
+    
+    adler32(bytes) {
+        let a = 1;
+        let b = 0;
+        // 每 5552 字节取模一次，不会溢出
+        for (let i = 0; i < bytes.length; i += 5552) {
+            const end = Math.min(i + 5552, bytes.length);
+            for (let j = i; j < end; j++) {
+                a += bytes[j];
+                b += a;
+            }
+            a %= 65521;
+            b %= 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    },
+    
+    /**
+     * MD5 / SHA 的消息填充: 追加 0x80、补零，末尾 8 字节为位长度
+     */
+    padMessage(bytes, littleEndian) {
+        const length = Math.ceil((bytes.length + 9) / 64) * 64;
+        const padded = new Uint8Array(length);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        const bits = bytes.length * 8;
+        const high = Math.floor(bits / 0x100000000);
+        const low = bits >>> 0;
+        if (littleEndian) {
+            view.setUint32(length - 8, low, true);
+            view.setUint32(length - 4, high, true);
+        } else {
+            view.setUint32(length - 8, high);
+            view.setUint32(length - 4, low);
+        }
+        return view;
+    },
+    
+    md5(bytes) {
+        if (!HexDiffCore.md5Table) {
+            HexDiffCore.md5Table = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0);
+        }
+        const K = HexDiffCore.md5Table;
+        const S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+        const view = this.padMessage(bytes, true);
+        const h = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476];
+        const w = new Uint32Array(16);
+        
+        for (let offset = 0; offset < view.byteLength; offset += 64) {
+            for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4, true);
+            let [a, b, c, d] = h;
+            for (let i = 0; i < 64; i++) {
+                const round = i >> 4;
+                let f;
+                let g;
+                if (round === 0) { f = (b & c) | (~b & d); g = i; }
+                else if (round === 1) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+                else if (round === 2) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+                else { f = c ^ (b | ~d); g = (7 * i) % 16; }
+                
+                const shift = S[round * 4 + (i & 3)];
+                const sum = (a + f + K[i] + w[g]) >>> 0;
+                a = d;
+                d = c;
+                c = b;
+                b = (b + ((sum << shift) | (sum >>> (32 - shift)))) >>> 0;
+            }
+            h[0] = (h[0] + a) >>> 0;
+            h[1] = (h[1] + b) >>> 0;
+            h[2] = (h[2] + c) >>> 0;
+            h[3] = (h[3] + d) >>> 0;
+        }
+        
+        const out = new Uint8Array(16);
+        const outView = new DataView(out.buffer);
+        h.forEach((v, i) => outView.setUint32(i * 4, v, true));
+        return out;
+    },
+    
+    sha1(bytes) {
+        const view = this.padMessage(bytes, false);
+        const h = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0];
+        const w = new Uint32Array(80);
+        const rotl = (v, n) => (v << n) | (v >>> (32 - n));
+        
+        for (let offset = 0; offset < view.byteLength; offset += 64) {
+            for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+            for (let i = 16; i < 80; i++) w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+            
+            let [a, b, c, d, e] = h;
+            for (let i = 0; i < 80; i++) {
+                let f;
+                let k;
+                if (i < 20) { f = (b & c) | (~b & d); k = 0x5A827999; }
+                else if (i < 40) { f = b ^ c ^ d; k = 0x6ED9EBA1; }
+                else if (i < 60) { f = (b & c) | (b & d) | (c & d); k = 0x8F1BBCDC; }
+                else { f = b ^ c ^ d; k = 0xCA62C1D6; }
+                
+                const t = (rotl(a, 5) + f + e + k + w[i]) >>> 0;
+                e = d;
+                d = c;
+                c = rotl(b, 30) >>> 0;
+                b = a;
+                a = t;
+            }
+            h[0] = (h[0] + a) >>> 0;
+            h[1] = (h[1] + b) >>> 0;
+            h[2] = (h[2] + c) >>> 0;
+            h[3] = (h[3] + d) >>> 0;
+            h[4] = (h[4] + e) >>> 0;
+        }
+        
+        const out = new Uint8Array(20);
+        const outView = new DataView(out.buffer);
+        h.forEach((v, i) => outView.setUint32(i * 4, v));
+        return out;
+    },
+    
+    sha256(bytes) {
+        if (!HexDiffCore.sha256Table) {
+            // 前 64 个素数立方根的小数部分
+            const primes = [];
+            for (let n = 2; primes.length < 64; n++) {
+                if (primes.every(p => n % p !== 0)) primes.push(n);
+            }
+            HexDiffCore.sha256Table = new Uint32Array(primes.map(p => (Math.cbrt(p) % 1) * 0x100000000));
+        }
+        const K = HexDiffCore.sha256Table;
+        const view = this.padMessage(bytes, false);
+        const h = [0x6A09E667, 0xBB67AE85, 0x3C6EF372, 0xA54FF53A, 0x510E527F, 0x9B05688C, 0x1F83D9AB, 0x5BE0CD19];
+        const w = new Uint32Array(64);
+        const rotr = (v, n) => (v >>> n) | (v << (32 - n));
+        
+        for (let offset = 0; offset < view.byteLength; offset += 64) {
+            for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+            }
+            
+            let [a, b, c, d, e, f, g, hh] = h;
+            for (let i = 0; i < 64; i++) {
+                const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+                const ch = (e & f) ^ (~e & g);
+                const t1 = (hh + s1 + ch + K[i] + w[i]) >>> 0;
+                const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const t2 = (s0 + maj) >>> 0;
+                hh = g;
+                g = f;
+                f = e;
+                e = (d + t1) >>> 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) >>> 0;
+            }
+            [a, b, c, d, e, f, g, hh].forEach((v, i) => {
+                h[i] = (h[i] + v) >>> 0;
+            });
+        }
+        
+        const out = new Uint8Array(32);
+        const outView = new DataView(out.buffer);
+        h.forEach((v, i) => outView.setUint32(i * 4, v));
+        return out;
+    },
+    
+    /**
+     * 校验值按字节序展开为字节，用于在数据中查找其存放位置
+     */
+    valueBytes(value, width, littleEndian) {
+        const bytes = new Uint8Array(width);
+        for (let i = 0; i < width; i++) {
+            const b = Math.floor(value / Math.pow(256, i)) & 0xFF;
+            bytes[littleEndian ? i : width - 1 - i] = b;
+        }
+        return bytes;
+    },
+    
+    /**
+     * 虚拟位置 v 所在段的下标（段按 vStart 排序）
+     */
+    segmentAt(segments, v) {
+        let lo = 0;
+        let hi = segments.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >>> 1;
+            if (segments[mid].vStart <= v) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo;
+    },
+
+    /**
+     * 有序区间列表上的顺序查询，返回 at(pos): pos 落在某个区间内时返回该区间，否则返回 null。
+     * 区间按起点排序且互不重叠，start/end 取区间的起点和终点（不含）；
+     * 逐字节渲染时 pos 单调递增，下标只在越过区间时前移，pos 回退时重新二分查找
+     */
+    intervalCursor(intervals, start, end) {
+        const seek = (lo, pos) => {
+            let hi = intervals.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >>> 1;
+                if (end(intervals[mid]) <= pos) lo = mid + 1;
+                else hi = mid;
+            }
+            return lo;
+        };
+        let index = -1;
+        let last = 0;
+        return (pos) => {
+            if (index < 0 || pos < last) index = seek(0, pos);
+            else if (index < intervals.length && end(intervals[index]) <= pos) index = seek(index + 1, pos);
+            last = pos;
+            const interval = intervals[index];
+            return interval !== undefined && start(interval) <= pos ? interval : null;
+        };
+    },
+
+    /**
+     * 虚拟位置对应的面板偏移（panel 为 'A' 或 'B'），该面板此处为空隙时返回 -1
+     */
+    segmentOffset(segments, panel, v) {
+        if (segments.length === 0) return -1;
+        const seg = segments[this.segmentAt(segments, v)];
+        const rel = v - seg.vStart;
+        const len = panel === 'A' ? seg.aLen : seg.bLen;
+        if (rel < 0 || rel >= len) return -1;
+        return (panel === 'A' ? seg.aStart : seg.bStart) + rel;
+    },
+
+    /**
+     * 虚拟位置的差异类型，没有差异时返回 null；modified 段中两侧相同的字节不算差异
+     */
+    diffTypeAt(segments, a, b, v) {
+        if (segments.length === 0) return null;
+        const seg = segments[this.segmentAt(segments, v)];
+        const rel = v - seg.vStart;
+        if (seg.type === 'equal' || rel < 0 || rel >= seg.vLen) return null;
+        if (seg.type === 'modified' && rel < seg.aLen && rel < seg.bLen &&
+            a[seg.aStart + rel] === b[seg.bStart + rel]) {
+            return null;
+        }
+        return seg.type;
+    },
+
+    /**
+     * 把虚拟位置 [start, end) 内的差异字节合并为连续区域 [{ vStart, vLen, type, bits }]，
+     * 区域内类型不一致时 type 为 'mixed'；modified 段中两侧相同的字节会把区域断开；
+     * bits 为区域内两侧都有的字节翻转的位数（汉明距离），插入、删除的字节不计
+     */
+    diffRegions(segments, a, b, start = 0, end = Infinity) {
+        const regions = [];
+        const add = (vStart, vLen, type, bits = 0) => {
+            const last = regions[regions.length - 1];
+            if (last && last.vStart + last.vLen === vStart) {
+                last.vLen += vLen;
+                last.bits += bits;
+                if (last.type !== type) last.type = 'mixed';
+            } else {
+                regions.push({ vStart, vLen, type, bits });
+            }
+        };
+
+        for (let i = segments.length > 0 ? this.segmentAt(segments, start) : 0; i < segments.length; i++) {
+            const seg = segments[i];
+            if (seg.vStart >= end) break;
+            if (seg.type === 'equal') continue;
+
+            const from = Math.max(seg.vStart, start);
+            const to = Math.min(seg.vStart + seg.vLen, end);
+            if (seg.type !== 'modified') {
+                if (from < to) add(from, to - from, seg.type);
+                continue;
+            }
+
+            const same = (v) => {
+                const rel = v - seg.vStart;
+                return rel < seg.aLen && rel < seg.bLen && a[seg.aStart + rel] === b[seg.bStart + rel];
+            };
+            const flips = (v) => {
+                const rel = v - seg.vStart;
+                if (rel >= seg.aLen || rel >= seg.bLen) return 0;
+                return this.bitCount(a[seg.aStart + rel] ^ b[seg.bStart + rel]);
+            };
+            let v = from;
+            while (v < to) {
+                while (v < to && same(v)) v++;
+                const runStart = v;
+                let bits = 0;
+                while (v < to && !same(v)) bits += flips(v++);
+                if (v > runStart) add(runStart, v - runStart, 'modified', bits);
+            }
+        }
+        return regions;
+    },
+
+    /**
+     * 字节中为 1 的位数
+     */
+    bitCount(byte) {
+        return HexDiffCore.BIT_COUNTS[byte];
+    },
+
+    /**
+     * 差异位图: 虚拟位置 v 落在某个差异区域内时第 v 位为 1，每 8 个位置占一个字节；
+     * 整字节的部分直接填充，耗时与区域数量而不是差异字节数成正比
+     */
+    diffBitmap(regions, virtualLength) {
+        const bits = new Uint8Array(Math.ceil(virtualLength / 8));
+        for (const region of regions) this.fillBitmap(bits, region.vStart, region.vStart + region.vLen, true);
+        return bits;
+    },
+    
+    /**
+     * 把位图中 [start, end) 的位置 1（value 为 false 时清 0），整字节的部分直接填充
+     */
+    fillBitmap(bits, start, end, value) {
+        const setBits = (from, to) => {
+            for (let v = from; v < to; v++) {
+                if (value) bits[v >>> 3] |= 1 << (v & 7);
+                else bits[v >>> 3] &= ~(1 << (v & 7));
+            }
+        };
+        const headEnd = Math.min(end, Math.ceil(start / 8) * 8);
+        const tailStart = Math.max(headEnd, Math.floor(end / 8) * 8);
+        setBits(start, headEnd);
+        if (tailStart > headEnd) bits.fill(value ? 0xFF : 0, headEnd / 8, tailStart / 8);
+        setBits(tailStart, end);
+    },
+
+    /**
+     * 生成差异报告，返回字符串
+     * format: 'text' | 'json' | 'csv' | 'html' | 'unified'
+     * report: { a, b, segments, virtualLength, names: { A, B }, bases: { A, B },
+     *           scope, ranges, bytesPerRow, encoding }
+     *   ranges 为报告覆盖的虚拟位置范围 [{ start, end }]（已排序且不重叠），scope 说明其来源
+     *   （见 REPORT_SCOPES）；bases 为两侧显示偏移的起点，encoding 为 HTML 报告文本列的编码
+     */
+    createReport(format, report) {
+        const regions = report.ranges.flatMap(range =>
+            this.diffRegions(report.segments, report.a, report.b, range.start, range.end));
+
+        switch (format) {
+            case 'text':
+                return this.reportText(report, regions);
+            case 'json':
+                return JSON.stringify(this.reportJSON(report, regions), null, 2);
+            case 'csv':
+                return this.reportCSV(report, regions);
+            case 'html':
+                return this.reportHTML(report, regions);
+            case 'unified':
+                return this.reportUnified(report, regions);
+            default:
+                throw new Error(`不支持的报告格式: ${format}`);
+        }
+    },
+
+    /**
+     * 合并重叠或相邻的虚拟位置范围 [{ start, end }]
+     */
+    mergeRanges(ranges) {
+        const merged = [];
+        for (const range of [...ranges].sort((x, y) => x.start - y.start)) {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) last.end = Math.max(last.end, range.end);
+            else merged.push({ start: range.start, end: range.end });
+        }
+        return merged;
+    },
+
+    /**
+     * 区域在某一侧覆盖的数据偏移 { start, end }（end 不含），该侧在区域内全是空隙时返回 null
+     */
+    regionSpan(segments, panel, region) {
+        const vEnd = region.vStart + region.vLen;
+        let start = -1;
+        let end = -1;
+        for (let i = this.segmentAt(segments, region.vStart); i < segments.length && segments[i].vStart < vEnd; i++) {
+            const seg = segments[i];
+            const len = panel === 'A' ? seg.aLen : seg.bLen;
+            const from = Math.max(region.vStart, seg.vStart) - seg.vStart;
+            const to = Math.min(vEnd - seg.vStart, len);
+            if (from >= to) continue;
+            const segStart = panel === 'A' ? seg.aStart : seg.bStart;
+            if (start < 0) start = segStart + from;
+            end = segStart + to;
+        }
+        return start < 0 ? null : { start, end };
+    },
+
+    /**
+     * 区域在某一侧的起始显示偏移，该侧在区域内全是空隙时返回 -1
+     */
+    regionOffset(report, panel, region) {
+        const span = this.regionSpan(report.segments, panel, region);
+        return span ? report.bases[panel] + span.start : -1;
+    },
+
+    /**
+     * 区域内逐个虚拟位置的字节对 [{ v, type, A, B }]，A/B 为数据偏移，空隙为 -1
+     */
+    regionPairs(report, region) {
+        const pairs = [];
+        for (let v = region.vStart; v < region.vStart + region.vLen; v++) {
+            pairs.push({
+                v,
+                type: this.diffTypeAt(report.segments, report.a, report.b, v),
+                A: this.segmentOffset(report.segments, 'A', v),
+                B: this.segmentOffset(report.segments, 'B', v)
+            });
+        }
+        return pairs;
+    },
+
+    reportText(report, regions) {
+        const { a, b } = report;
+        const hex8 = (n) => n < 0 ? '—' : `0x${n.toString(16).toUpperCase().padStart(8, '0')}`;
+        const hex2 = (data, offset) => offset < 0 ? '--' : data[offset].toString(16).toUpperCase().padStart(2, '0');
+        const fileOffset = (panel, offset) => offset < 0 ? -1 : report.bases[panel] + offset;
+        const limit = HexDiffCore.REPORT_TEXT_BYTES;
+
+        let output = 'HexDump Diff 报告\n';
+        output += '='.repeat(60) + '\n\n';
+        output += `数据 A: ${a.length} 字节\n`;
+        output += `数据 B: ${b.length} 字节\n`;
+        output += `范围: ${HexDiffCore.REPORT_SCOPES[report.scope]}\n`;
+        output += `总差异: ${regions.reduce((sum, region) => sum + region.vLen, 0)} 字节\n`;
+        output += `翻转位数: ${regions.reduce((sum, region) => sum + region.bits, 0)}\n\n`;
+        output += '-'.repeat(60) + '\n\n';
+
+        for (const region of regions) {
+            const bits = region.bits > 0 ? `, 翻转 ${region.bits} 位` : '';
+            output += `偏移 A=${hex8(this.regionOffset(report, 'A', region))} B=${hex8(this.regionOffset(report, 'B', region))} (${region.vLen} 字节${bits}) [${region.type}]\n`;
+
+            const pairs = this.regionPairs(report, { vStart: region.vStart, vLen: Math.min(limit, region.vLen) });
+            for (const pair of pairs) {
+                output += `  A ${hex8(fileOffset('A', pair.A))} / B ${hex8(fileOffset('B', pair.B))}: A=${hex2(a, pair.A)} B=${hex2(b, pair.B)}\n`;
+            }
+            if (region.vLen > limit) output += `  ... 还有 ${region.vLen - limit} 字节\n`;
+            output += '\n';
+        }
+        return output;
+    },
+
+    /**
+     * JSON 报告: 元数据和各区域完整的字节对 pairs: [[A, B], ...]，值为两位十六进制，空隙为 null
+     */
+    reportJSON(report, regions) {
+        const hex2 = (data, offset) => offset < 0 ? null : data[offset].toString(16).toUpperCase().padStart(2, '0');
+        const side = (panel, data) => ({ name: report.names[panel], size: data.length, base: report.bases[panel] });
+
+        return {
+            format: 'hexdiff-report',
+            version: 1,
+            created: new Date().toISOString(),
+            scope: report.scope,
+            a: side('A', report.a),
+            b: side('B', report.b),
+            diffBytes: regions.reduce((sum, region) => sum + region.vLen, 0),
+            flippedBits: regions.reduce((sum, region) => sum + region.bits, 0),
+            regions: regions.map(region => {
+                const aOffset = this.regionOffset(report, 'A', region);
+                const bOffset = this.regionOffset(report, 'B', region);
+                return {
+                    type: region.type,
+                    position: region.vStart,
+                    length: region.vLen,
+                    flippedBits: region.bits,
+                    aOffset: aOffset < 0 ? null : aOffset,
+                    bOffset: bOffset < 0 ? null : bOffset,
+                    pairs: this.regionPairs(report, region).map(pair => [hex2(report.a, pair.A), hex2(report.b, pair.B)])
+                };
+            })
+        };
+    },
+
+    /**
+     * CSV 报告: 每个差异字节一行，空隙的偏移和值留空
+     */
+    reportCSV(report, regions) {
+        const lines = ['region,type,position,a_offset,a_byte,b_offset,b_byte'];
+        const hex = (n, width) => n.toString(16).toUpperCase().padStart(width, '0');
+        const side = (panel, data, offset) => offset < 0
+            ? ','
+            : `0x${hex(report.bases[panel] + offset, 8)},${hex(data[offset], 2)}`;
+
+        regions.forEach((region, index) => {
+            for (const pair of this.regionPairs(report, region)) {
+                lines.push(`${index + 1},${pair.type},${pair.v},${side('A', report.a, pair.A)},${side('B', report.b, pair.B)}`);
+            }
+        });
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * 依次列出报告范围覆盖的行: fn(row, changed, jump)，changed 表示该行有差异，
+     * jump 表示与上一行不相邻（两个范围之间有省略）
+     */
+    eachReportRow(report, regions, fn) {
+        const bpr = report.bytesPerRow;
+        let r = 0;
+        let prev = -1;
+        for (const range of report.ranges) {
+            const first = Math.max(Math.floor(range.start / bpr), prev + 1);
+            const last = Math.ceil(range.end / bpr) - 1;
+            for (let row = first; row <= last; row++) {
+                while (r < regions.length && regions[r].vStart + regions[r].vLen <= row * bpr) r++;
+                const changed = r < regions.length && regions[r].vStart < (row + 1) * bpr;
+                fn(row, changed, prev >= 0 && row !== prev + 1);
+                prev = row;
+            }
+        }
+    },
+
+    /**
+     * 一行中某一侧的字节: { first, count, cells }，cells 每个虚拟位置一项 { offset, type }，
+     * 超出对齐结果末尾的位置为 null
+     */
+    reportRowSide(report, row, panel) {
+        const cells = [];
+        let first = -1;
+        let count = 0;
+        for (let v = row * report.bytesPerRow; v < (row + 1) * report.bytesPerRow; v++) {
+            if (v >= report.virtualLength) {
+                cells.push(null);
+                continue;
+            }
+            const offset = this.segmentOffset(report.segments, panel, v);
+            if (offset >= 0) {
+                if (first < 0) first = offset;
+                count++;
+            }
+            cells.push({ offset, type: this.diffTypeAt(report.segments, report.a, report.b, v) });
+        }
+        return { first, count, cells };
+    },
+
+    /**
+     * 自包含的 HTML 报告: 按行并排显示两侧十六进制和文本，连续的相同行折叠为可展开的区块
+     */
+    reportHTML(report, regions) {
+        const escape = (text) => String(text).replace(/[&<>"']/g, c =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+        const hex = (n, width) => n.toString(16).toUpperCase().padStart(width, '0');
+
+        const renderSide = (row, panel) => {
+            const data = panel === 'A' ? report.a : report.b;
+            const side = this.reportRowSide(report, row, panel);
+            const chars = side.first >= 0
+                ? this.decodeText(data, side.first, side.first + side.count, report.encoding)
+                : [];
+            const hexParts = [];
+            const textParts = [];
+            side.cells.forEach((cell, i) => {
+                if (i > 0 && i % 8 === 0) hexParts.push(' ');
+                if (!cell) {
+                    hexParts.push('<i>  </i>');
+                    textParts.push('<i> </i>');
+                    return;
+                }
+                const classes = [];
+                if (cell.offset < 0) classes.push('gap');
+                if (cell.type) classes.push(`d-${cell.type}`);
+                const attr = classes.length > 0 ? ` class="${classes.join(' ')}"` : '';
+                if (cell.offset < 0) {
+                    hexParts.push(`<i${attr}>··</i>`);
+                    textParts.push(`<i${attr}> </i>`);
+                    return;
+                }
+                const char = chars[cell.offset - side.first];
+                hexParts.push(`<i${attr}>${hex(data[cell.offset], 2)}</i>`);
+                textParts.push(`<i${attr}>${char === null ? '.' : char === '' ? ' ' : escape(char)}</i>`);
+            });
+            const offset = side.first >= 0 ? hex(report.bases[panel] + side.first, 8) : '';
+            return `<span class="off">${offset}</span><span class="hex">${hexParts.join('')}</span><span class="txt">${textParts.join('')}</span>`;
+        };
+        const renderRow = (row) => `<div class="row">${renderSide(row, 'A')}<span class="sep"></span>${renderSide(row, 'B')}</div>`;
+
+        const body = [];
+        let run = null;
+        const flush = () => {
+            if (!run) return;
+            if (run.count < HexDiffCore.REPORT_COLLAPSE_ROWS) {
+                for (let k = 0; k < run.count; k++) body.push(renderRow(run.first + k));
+            } else {
+                const shown = Math.min(run.count, HexDiffCore.REPORT_COLLAPSED_LIMIT);
+                const rows = [];
+                for (let k = 0; k < shown; k++) rows.push(renderRow(run.first + k));
+                if (shown < run.count) rows.push(`<div class="note">… 另有 ${run.count - shown} 行未包含</div>`);
+                body.push(`<details><summary>${run.count} 行相同</summary>${rows.join('')}</details>`);
+            }
+            run = null;
+        };
+        this.eachReportRow(report, regions, (row, changed, jump) => {
+            if (jump) {
+                flush();
+                body.push('<div class="note">⋯</div>');
+            }
+            if (changed) {
+                flush();
+                body.push(renderRow(row));
+            } else if (run) {
+                run.count++;
+            } else {
+                run = { first: row, count: 1 };
+            }
+        });
+        flush();
+
+        const diffBytes = regions.reduce((sum, region) => sum + region.vLen, 0);
+        const types = new Set(report.segments.map(seg => seg.type));
+        const legend = ['added', 'removed', 'modified', 'a-only', 'b-only', 'both', 'conflict']
+            .filter(type => types.has(type))
+            .map(type => `<i class="d-${type}">${type}</i>`)
+            .join(' ');
+
+        return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<title>HexDump Diff 报告</title>
+<style>${HexDiffCore.REPORT_HTML_STYLE}</style>
+</head>
+<body>
+<h1>HexDump Diff 报告</h1>
+<table class="meta">
+<tr><th>数据 A</th><td>${escape(report.names.A)} (${report.a.length} 字节)</td></tr>
+<tr><th>数据 B</th><td>${escape(report.names.B)} (${report.b.length} 字节)</td></tr>
+<tr><th>范围</th><td>${HexDiffCore.REPORT_SCOPES[report.scope]}</td></tr>
+<tr><th>差异</th><td>${diffBytes} 字节，${regions.length} 个区域 ${legend}</td></tr>
+<tr><th>生成时间</th><td>${new Date().toLocaleString()}</td></tr>
+</table>
+<div class="view">
+${body.join('\n')}
+</div>
+</body>
+</html>
+`;
+    },
+
+    /**
+     * 统一差异格式的文本，类似 diff -u <(xxd a) <(xxd b)，但行按对齐结果划分，
+     * 插入/删除之后的相同内容不会整体错位；行号为各侧 xxd 风格输出中的行号
+     */
+    reportUnified(report, regions) {
+        const bpr = report.bytesPerRow;
+        const context = HexDiffCore.REPORT_CONTEXT_ROWS;
+        const hex = (n, width) => n.toString(16).padStart(width, '0');
+        const line = (row, panel) => {
+            const data = panel === 'A' ? report.a : report.b;
+            const side = this.reportRowSide(report, row, panel);
+            if (side.count === 0) return null;
+            let groups = '';
+            let text = '';
+            for (let i = 0; i < side.count; i++) {
+                const byte = data[side.first + i];
+                groups += (i > 0 && i % 2 === 0 ? ' ' : '') + hex(byte, 2);
+                text += byte >= 32 && byte < 127 ? String.fromCharCode(byte) : '.';
+            }
+            const width = bpr * 2 + Math.ceil(bpr / 2) - 1;
+            return `${hex(report.bases[panel] + side.first, 8)}: ${groups.padEnd(width)}  ${text}`;
+        };
+
+        // 按行收集: 差异行及其前后 context 行组成 hunk，范围之间不相邻的行不并入同一 hunk
+        const rows = [];
+        this.eachReportRow(report, regions, (row, changed, jump) => rows.push({ row, changed, jump }));
+
+        // 各侧在该行之前有多少行（该侧在整行都是空隙时不算一行）
+        const lineCounts = { A: 0, B: 0 };
+        let countedRow = 0;
+        const linesBefore = (row) => {
+            for (; countedRow < row; countedRow++) {
+                if (this.reportRowSide(report, countedRow, 'A').count > 0) lineCounts.A++;
+                if (this.reportRowSide(report, countedRow, 'B').count > 0) lineCounts.B++;
+            }
+            return { ...lineCounts };
+        };
+
+        const hunks = [];
+        let hunk = null;
+        rows.forEach((entry, index) => {
+            if (!entry.changed) return;
+            let from = index;
+            while (from > 0 && index - from < context && !rows[from].jump && !rows[from - 1].changed) from--;
+            if (hunk && from <= hunk.to + context + 1 && !rows.slice(hunk.to + 1, index + 1).some(r => r.jump)) {
+                hunk.to = index;
+            } else {
+                hunk = { from, to: index };
+                hunks.push(hunk);
+            }
+        });
+        hunks.forEach(h => {
+            let to = h.to;
+            while (to < rows.length - 1 && to - h.to < context && !rows[to + 1].jump && !rows[to + 1].changed) to++;
+            h.to = to;
+        });
+
+        const output = [`--- ${report.names.A}`, `+++ ${report.names.B}`];
+        for (const h of hunks) {
+            const start = linesBefore(rows[h.from].row);
+            const lines = [];
+            const counts = { A: 0, B: 0 };
+            let removed = [];
+            let added = [];
+            const flushChanges = () => {
+                lines.push(...removed, ...added);
+                removed = [];
+                added = [];
+            };
+            for (let i = h.from; i <= h.to; i++) {
+                const row = rows[i].row;
+                const a = line(row, 'A');
+                const b = line(row, 'B');
+                if (rows[i].changed) {
+                    if (a !== null) { removed.push('-' + a); counts.A++; }
+                    if (b !== null) { added.push('+' + b); counts.B++; }
+                } else {
+                    flushChanges();
+                    lines.push(' ' + a);
+                    counts.A++;
+                    counts.B++;
+                }
+            }
+            flushChanges();
+            // 与 diff -u 相同，某侧没有行时起始行号为前一行
+            const range = (panel) => `${counts[panel] > 0 ? start[panel] + 1 : start[panel]},${counts[panel]}`;
+            output.push(`@@ -${range('A')} +${range('B')} @@`, ...lines);
+        }
+        return output.join('\n') + '\n';
+    },
+
+    /**
+     * 生成 A→B 的补丁
+     * format: 'ips' | 'bps' | 'json'；hunks 为对齐结果，IPS 只能表示覆盖写入，始终按偏移生成
+     */
+    createPatch(format, a, b, hunks) {
+        switch (format) {
+            case 'ips':
+                return this.createIPS(a, b);
+            case 'bps':
+                return this.createBPS(a, b, hunks);
+            case 'json':
+                return new TextEncoder().encode(JSON.stringify(this.createJSONPatch(a, b, hunks), null, 2));
+            default:
+                throw new Error(`不支持的补丁格式: ${format}`);
+        }
+    },
+    
+    /**
+     * 识别补丁格式并应用到 source
+     * 返回 { format, data, checksum }，checksum 为 true/false 表示补丁内目标校验是否通过，
+     * 补丁中没有校验信息时为 null
+     */
+    applyPatch(source, patch) {
+        const magic = String.fromCharCode(...patch.subarray(0, 5));
+        if (magic === 'PATCH') {
+            return { format: 'ips', data: this.applyIPS(source, patch), checksum: null };
+        }
+        if (magic.startsWith('BPS1')) {
+            return { format: 'bps', ...this.applyBPS(source, patch) };
+        }
+        
+        let json;
+        try {
+            json = JSON.parse(new TextDecoder().decode(patch));
+        } catch (e) {
+            throw new Error('无法识别的补丁格式');
+        }
+        return { format: 'json', ...this.applyJSONPatch(source, json) };
+    },
+    
+    /**
+     * IPS: "PATCH" + 记录(3 字节偏移, 2 字节长度, 数据；长度为 0 时为 RLE) + "EOF" [+ 3 字节截断长度]
+     */
+    createIPS(a, b) {
+        const out = [];
+        const push24 = (n) => out.push((n >>> 16) & 0xFF, (n >>> 8) & 0xFF, n & 0xFF);
+        const push16 = (n) => out.push((n >>> 8) & 0xFF, n & 0xFF);
+        
+        if (b.length > HexDiffCore.IPS_MAX_OFFSET) {
+            throw new Error('IPS 只支持 16 MB 以内的数据');
+        }
+        
+        for (const c of 'PATCH') out.push(c.charCodeAt(0));
+        
+        let i = 0;
+        while (i < b.length) {
+            if (i < a.length && a[i] === b[i]) {
+                i++;
+                continue;
+            }
+            
+            // 差异区间: 与 A 不同或超出 A 的部分；
+            // 偏移恰好等于 "EOF" 时会被误认为结束标记，向前多带一个字节
+            const start = i === HexDiffCore.IPS_EOF ? i - 1 : i;
+            let end = i;
+            while (end < b.length && end - start < 0xFFFF && (end >= a.length || a[end] !== b[end])) end++;
+            
+            // 较长的重复字节用 RLE 记录
+            let run = 1;
+            while (start + run < end && b[start + run] === b[start]) run++;
+            if (run >= 8 && run === end - start) {
+                push24(start);
+                push16(0);
+                push16(run);
+                out.push(b[start]);
+            } else {
+                push24(start);
+                push16(end - start);
+                for (let k = start; k < end; k++) out.push(b[k]);
+            }
+            i = end;
+        }
+        
+        for (const c of 'EOF') out.push(c.charCodeAt(0));
+        if (b.length < a.length) push24(b.length);
+        
+        return new Uint8Array(out);
+    },
+    
+    applyIPS(source, patch) {
+        let data = source.slice();
+        let length = source.length;
+        let pos = 5;
+        
+        const ensure = (size) => {
+            if (size > data.length) {
+                const grown = new Uint8Array(Math.max(size, data.length * 2));
+                grown.set(data);
+                data = grown;
+            }
+            length = Math.max(length, size);
+        };
+        
+        while (true) {
+            if (pos + 3 > patch.length) throw new Error('IPS 补丁不完整');
+            const offset = (patch[pos] << 16) | (patch[pos + 1] << 8) | patch[pos + 2];
+            pos += 3;
+            if (offset === HexDiffCore.IPS_EOF) break;
+            
+            if (pos + 2 > patch.length) throw new Error('IPS 补丁不完整');
+            let size = (patch[pos] << 8) | patch[pos + 1];
+            pos += 2;
+            
+            if (size === 0) {
+                size = (patch[pos] << 8) | patch[pos + 1];
+                const value = patch[pos + 2];
+                pos += 3;
+                ensure(offset + size);
+                data.fill(value, offset, offset + size);
+            } else {
+                if (pos + size > patch.length) throw new Error('IPS 补丁不完整');
+                ensure(offset + size);
+                data.set(patch.subarray(pos, pos + size), offset);
+                pos += size;
+            }
+        }
+        
+        // 截断扩展
+        if (pos + 3 <= patch.length) {
+            length = (patch[pos] << 16) | (patch[pos + 1] << 8) | patch[pos + 2];
+        }
+        
+        return data.slice(0, length);
+    },
+    
+    /**
+     * BPS: "BPS1" + 源/目标/元数据长度 + 动作序列 + 源 CRC32 + 目标 CRC32 + 补丁 CRC32
+     * 相同区间用 SourceRead/SourceCopy，改动和插入用 TargetRead
+     */
+    createBPS(a, b, hunks) {
+        const out = [];
+        const writeNumber = (n) => {
+            while (true) {
+                const x = n % 128;
+                n = Math.floor(n / 128);
+                if (n === 0) {
+                    out.push(0x80 | x);
+                    break;
+                }
+                out.push(x);
+                n--;
+            }
+        };
+        const writeAction = (command, length) => writeNumber((length - 1) * 4 + command);
+        const write32 = (n) => out.push(n & 0xFF, (n >>> 8) & 0xFF, (n >>> 16) & 0xFF, (n >>> 24) & 0xFF);
+        
+        for (const c of 'BPS1') out.push(c.charCodeAt(0));
+        writeNumber(a.length);
+        writeNumber(b.length);
+        writeNumber(0);
+        
+        // 每个差异块都按 B 的长度输出，使输出位置始终等于 bStart；
+        // 按地址对比时一侧为空洞的块两侧等长，也要从补丁中读出 B 的字节
+        let sourceRelative = 0;
+        for (const hunk of hunks) {
+            if (hunk.bLen === 0) continue;
+            if (hunk.type === 'equal' && hunk.aLen === hunk.bLen) {
+                if (hunk.aStart === hunk.bStart) {
+                    writeAction(HexDiffCore.BPS_SOURCE_READ, hunk.aLen);
+                } else {
+                    writeAction(HexDiffCore.BPS_SOURCE_COPY, hunk.aLen);
+                    const delta = hunk.aStart - sourceRelative;
+                    writeNumber(Math.abs(delta) * 2 + (delta < 0 ? 1 : 0));
+                    sourceRelative = hunk.aStart + hunk.aLen;
+                }
+            } else {
+                writeAction(HexDiffCore.BPS_TARGET_READ, hunk.bLen);
+                for (let i = 0; i < hunk.bLen; i++) out.push(b[hunk.bStart + i]);
+            }
+        }
+        
+        write32(this.crc32(a));
+        write32(this.crc32(b));
+        write32(this.crc32(out));
+        
+        return new Uint8Array(out);
+    },
+    
+    applyBPS(source, patch) {
+        let pos = 4;
+        const end = patch.length - 12;
+        const readNumber = () => {
+            let data = 0;
+            let shift = 1;
+            while (true) {
+                if (pos >= patch.length) throw new Error('BPS 补丁不完整');
+                const x = patch[pos++];
+                data += (x & 0x7F) * shift;
+                if (x & 0x80) break;
+                shift *= 128;
+                data += shift;
+            }
+            return data;
+        };
+        const read32 = (at) => (patch[at] | (patch[at + 1] << 8) | (patch[at + 2] << 16) | (patch[at + 3] << 24)) >>> 0;
+        
+        if (patch.length < 16) throw new Error('BPS 补丁不完整');
+        if (this.crc32(patch.subarray(0, patch.length - 4)) !== read32(patch.length - 4)) {
+            throw new Error('BPS 补丁自身校验失败，文件可能已损坏');
+        }
+        
+        const sourceSize = readNumber();
+        const targetSize = readNumber();
+        const metadataSize = readNumber();
+        pos += metadataSize;  // 跳过元数据
+        
+        if (sourceSize !== source.length || this.crc32(source) !== read32(end)) {
+            throw new Error('BPS 补丁与数据 A 不匹配（源长度或 CRC32 不同）');
+        }
+        
+        const target = new Uint8Array(targetSize);
+        let outputOffset = 0;
+        let sourceRelative = 0;
+        let targetRelative = 0;
+        
+        while (pos < end) {
+            const action = readNumber();
+            const command = action & 3;
+            const length = Math.floor(action / 4) + 1;
+            if (outputOffset + length > targetSize) throw new Error('BPS 补丁数据越界');
+            
+            if (command === HexDiffCore.BPS_SOURCE_READ) {
+                target.set(source.subarray(outputOffset, outputOffset + length), outputOffset);
+            } else if (command === HexDiffCore.BPS_TARGET_READ) {
+                target.set(patch.subarray(pos, pos + length), outputOffset);
+                pos += length;
+            } else {
+                const data = readNumber();
+                const delta = (data & 1 ? -1 : 1) * Math.floor(data / 2);
+                if (command === HexDiffCore.BPS_SOURCE_COPY) {
+                    sourceRelative += delta;
+                    target.set(source.subarray(sourceRelative, sourceRelative + length), outputOffset);
+                    sourceRelative += length;
+                } else {
+                    // TargetCopy 可能与输出区间重叠，需要逐字节复制
+                    targetRelative += delta;
+                    for (let i = 0; i < length; i++) target[outputOffset + i] = target[targetRelative++];
+                }
+            }
+            outputOffset += length;
+        }
+        
+        return { data: target, checksum: this.crc32(target) === read32(end + 4) };
+    },
+    
+    /**
+     * JSON 补丁: 每个差异块记录 A 中的偏移、删除长度和插入的字节
+     */
+    createJSONPatch(a, b, hunks) {
+        const toHex = (bytes) => Array.from(bytes).map(x => x.toString(16).toUpperCase().padStart(2, '0')).join('');
+        
+        return {
+            format: 'hexdiff-patch',
+            version: 1,
+            sourceSize: a.length,
+            targetSize: b.length,
+            sourceCrc32: this.crc32(a),
+            targetCrc32: this.crc32(b),
+            // 按地址对比时超出一侧末尾的空洞也算相同，但两侧长度不同，仍需写入补丁
+            hunks: hunks
+                .filter(hunk => hunk.type !== 'equal' || hunk.aLen !== hunk.bLen)
+                .map(hunk => ({
+                    offset: hunk.aStart,
+                    delete: hunk.aLen,
+                    insert: toHex(b.subarray(hunk.bStart, hunk.bStart + hunk.bLen))
+                }))
+        };
+    },
+    
+    applyJSONPatch(source, patch) {
+        if (!patch || patch.format !== 'hexdiff-patch' || !Array.isArray(patch.hunks)) {
+            throw new Error('无法识别的补丁格式');
+        }
+        if (patch.sourceCrc32 !== undefined && patch.sourceCrc32 !== this.crc32(source)) {
+            throw new Error('JSON 补丁与数据 A 不匹配（源 CRC32 不同）');
+        }
+        
+        const parts = [];
+        let pos = 0;
+        const hunks = patch.hunks.slice().sort((x, y) => x.offset - y.offset);
+        for (const hunk of hunks) {
+            if (hunk.offset < pos || hunk.offset + hunk.delete > source.length) {
+                throw new Error(`JSON 补丁中的差异块重叠或越界: 偏移 ${hunk.offset}`);
+            }
+            parts.push(source.subarray(pos, hunk.offset));
+            parts.push(this.parseHex(hunk.insert || ''));
+            pos = hunk.offset + hunk.delete;
+        }
+        parts.push(source.subarray(pos));
+        
+        const data = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            data.set(part, offset);
+            offset += part.length;
+        }
+        
+        const checksum = patch.targetCrc32 === undefined ? null : this.crc32(data) === patch.targetCrc32;
+        return { data, checksum };
+    },
+    
+    /**
+     * 按偏移逐字节对比（不检测插入/删除），较长一侧的尾部视为新增或删除
+     */
+    diffByOffset(a, b) {
+        const hunks = [];
+        const common = Math.min(a.length, b.length);
+        
+        let i = 0;
+        while (i < common) {
+            const start = i;
+            const same = a[i] === b[i];
+            while (i < common && (a[i] === b[i]) === same) i++;
+            hunks.push({ type: same ? 'equal' : 'modified', aStart: start, aLen: i - start, bStart: start, bLen: i - start });
+        }
+        
+        if (a.length > common) {
+            hunks.push({ type: 'removed', aStart: common, aLen: a.length - common, bStart: common, bLen: 0 });
+        } else if (b.length > common) {
+            hunks.push({ type: 'added', aStart: common, aLen: 0, bStart: common, bLen: b.length - common });
+        }
+        return hunks;
+    },
+    
+    /**
+     * 序列对比: 去掉公共前后缀后，小范围用 Myers 算法，大范围先用块哈希找锚点再递归
+     * 返回按顺序排列的差异块 { type, aStart, aLen, bStart, bLen }
+     *   equal    - 相同
+     *   modified - 等长替换
+     *   removed  - A 中被删除（B 中无对应字节）
+     *   added    - B 中插入（A 中无对应字节）
+     */
+    diffSequences(a, b, onProgress) {
+        const raw = [];
+        this.alignRange(a, 0, a.length, b, 0, b.length, raw, 0, onProgress);
+        return this.normalizeHunks(raw);
+    },
+    
+    alignRange(a, aStart, aEnd, b, bStart, bEnd, out, depth, onProgress) {
+        // 公共前缀
+        let prefix = 0;
+        while (aStart + prefix < aEnd && bStart + prefix < bEnd && a[aStart + prefix] === b[bStart + prefix]) prefix++;
+        if (prefix > 0) this.pushHunk(out, 'equal', aStart, prefix, bStart, prefix);
+        aStart += prefix;
+        bStart += prefix;
+        
+        // 公共后缀
+        let suffix = 0;
+        while (aEnd - suffix > aStart && bEnd - suffix > bStart && a[aEnd - suffix - 1] === b[bEnd - suffix - 1]) suffix++;
+        aEnd -= suffix;
+        bEnd -= suffix;
+        
+        const lenA = aEnd - aStart;
+        const lenB = bEnd - bStart;
+        
+        if (lenA === 0 || lenB === 0) {
+            if (lenA > 0) this.pushHunk(out, 'removed', aStart, lenA, bStart, 0);
+            if (lenB > 0) this.pushHunk(out, 'added', aStart, 0, bStart, lenB);
+        } else if (lenA + lenB <= HexDiffCore.MYERS_LIMIT) {
+            if (!this.myersDiff(a, aStart, aEnd, b, bStart, bEnd, out)) {
+                // 编辑距离过大，退化为整段替换
+                this.pushHunk(out, 'removed', aStart, lenA, bStart, 0);
+                this.pushHunk(out, 'added', aEnd, 0, bStart, lenB);
+            }
+        } else {
+            const anchors = depth < HexDiffCore.MAX_ANCHOR_DEPTH
+                ? this.findAnchors(a, aStart, aEnd, b, bStart, bEnd, depth === 0 ? onProgress : null)
+                : [];
+            
+            let aPos = aStart;
+            let bPos = bStart;
+            for (const anchor of anchors) {
+                this.alignRange(a, aPos, anchor.a, b, bPos, anchor.b, out, depth + 1);
+                this.pushHunk(out, 'equal', anchor.a, anchor.len, anchor.b, anchor.len);
+                aPos = anchor.a + anchor.len;
+                bPos = anchor.b + anchor.len;
+            }
+            
+            if (anchors.length > 0) {
+                this.alignRange(a, aPos, aEnd, b, bPos, bEnd, out, depth + 1);
+            } else {
+                this.pushHunk(out, 'removed', aStart, lenA, bStart, 0);
+                this.pushHunk(out, 'added', aEnd, 0, bStart, lenB);
+            }
+        }
+        
+        if (suffix > 0) this.pushHunk(out, 'equal', aEnd, suffix, bEnd, suffix);
+    },
+    
+    /**
+     * Myers O(ND) 差分，编辑距离超过上限时返回 false
+     */
+    myersDiff(a, aStart, aEnd, b, bStart, bEnd, out) {
+        const n = aEnd - aStart;
+        const m = bEnd - bStart;
+        const max = Math.min(n + m, HexDiffCore.MYERS_MAX_EDITS);
+        const center = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        const trace = [];
+        
+        let found = -1;
+        for (let d = 0; d <= max && found < 0; d++) {
+            trace.push(v.slice());
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[center + k - 1] < v[center + k + 1]))
+                    ? v[center + k + 1]
+                    : v[center + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                    x++;
+                    y++;
+                }
+                v[center + k] = x;
+                if (x >= n && y >= m) {
+                    found = d;
+                    break;
+                }
+            }
+        }
+        if (found < 0) return false;
+        
+        // 回溯得到逐字节操作（逆序）
+        const ops = [];
+        let x = n;
+        let y = m;
+        for (let d = found; d > 0; d--) {
+            const prev = trace[d];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && prev[center + k - 1] < prev[center + k + 1])) ? k + 1 : k - 1;
+            const prevX = prev[center + prevK];
+            const prevY = prevX - prevK;
+            while (x > prevX && y > prevY) {
+                x--;
+                y--;
+                ops.push(['equal', x, y]);
+            }
+            if (x === prevX) {
+                ops.push(['added', x, prevY]);
+            } else {
+                ops.push(['removed', prevX, y]);
+            }
+            x = prevX;
+            y = prevY;
+        }
+        while (x > 0 && y > 0) {
+            x--;
+            y--;
+            ops.push(['equal', x, y]);
+        }
+        
+        for (let i = ops.length - 1; i >= 0; i--) {
+            const [type, ax, by] = ops[i];
+            this.pushHunk(out, type, aStart + ax, type === 'added' ? 0 : 1, bStart + by, type === 'removed' ? 0 : 1);
+        }
+        return true;
+    },
+    
+    /**
+     * 块哈希锚点: 对 A 按固定块长建立哈希索引，在 B 上滚动哈希寻找相同块，
+     * 向两侧扩展成最长匹配，只保留在 A、B 中都单调递增的匹配
+     */
+    findAnchors(a, aStart, aEnd, b, bStart, bEnd, onProgress) {
+        const lenA = aEnd - aStart;
+        let blockSize = 32;
+        while (lenA / blockSize > HexDiffCore.MAX_ANCHOR_BLOCKS) blockSize *= 2;
+        
+        const blockCount = Math.floor(lenA / blockSize);
+        if (blockCount === 0 || bEnd - bStart < blockSize) return [];
+        
+        const BASE = 257;
+        let basePow = 1;
+        for (let i = 1; i < blockSize; i++) basePow = Math.imul(basePow, BASE);
+        
+        const hashAt = (data, pos) => {
+            let h = 0;
+            for (let i = 0; i < blockSize; i++) h = (Math.imul(h, BASE) + data[pos + i]) | 0;
+            return h >>> 0;
+        };
+        
+        // 索引键 = 哈希 * 2^22 + 块序号，排序后可二分查找同一哈希下序号最小的块
+        const SHIFT = 4194304;
+        const keys = new Float64Array(blockCount);
+        for (let i = 0; i < blockCount; i++) {
+            keys[i] = hashAt(a, aStart + i * blockSize) * SHIFT + i;
+        }
+        keys.sort();
+        
+        const lowerBound = (key) => {
+            let lo = 0;
+            let hi = keys.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >>> 1;
+                if (keys[mid] < key) lo = mid + 1;
+                else hi = mid;
+            }
+            return lo;
+        };
+        
+        const anchors = [];
+        let lastA = aStart;
+        let lastB = bStart;
+        let pos = bStart;
+        let h = hashAt(b, pos);
+        let nextReport = pos;
+        
+        while (pos + blockSize <= bEnd) {
+            if (onProgress && pos >= nextReport) {
+                onProgress((pos - bStart) / (bEnd - bStart));
+                nextReport = pos + HexDiffCore.PROGRESS_STEP;
+            }
+            
+            const minBlock = Math.ceil((lastA - aStart) / blockSize);
+            let idx = lowerBound(h * SHIFT + minBlock);
+            let matched = false;
+            
+            for (let tries = 0; tries < 8 && idx < keys.length && Math.floor(keys[idx] / SHIFT) === h; tries++, idx++) {
+                let aPos = aStart + (keys[idx] % SHIFT) * blockSize;
+                let i = 0;
+                while (i < blockSize && a[aPos + i] === b[pos + i]) i++;
+                if (i < blockSize) continue;
+                
+                // 向两侧扩展
+                let bPos = pos;
+                while (aPos > lastA && bPos > lastB && a[aPos - 1] === b[bPos - 1]) {
+                    aPos--;
+                    bPos--;
+                }
+                let len = pos - bPos + blockSize;
+                while (aPos + len < aEnd && bPos + len < bEnd && a[aPos + len] === b[bPos + len]) len++;
+                
+                anchors.push({ a: aPos, b: bPos, len });
+                lastA = aPos + len;
+                lastB = bPos + len;
+                pos = lastB;
+                matched = true;
+                break;
+            }
+            
+            if (matched) {
+                if (pos + blockSize <= bEnd) h = hashAt(b, pos);
+            } else {
+                if (pos + blockSize < bEnd) {
+                    h = (Math.imul(h - Math.imul(b[pos], basePow), BASE) + b[pos + blockSize]) >>> 0;
+                }
+                pos++;
+            }
+        }
+        
+        return anchors;
+    },
+    
+    pushHunk(out, type, aStart, aLen, bStart, bLen) {
+        const last = out[out.length - 1];
+        if (last && last.type === type &&
+            last.aStart + last.aLen === aStart && last.bStart + last.bLen === bStart) {
+            last.aLen += aLen;
+            last.bLen += bLen;
+        } else {
+            out.push({ type, aStart, aLen, bStart, bLen });
+        }
+    },
+    
+    /**
+     * 将相邻的删除+插入合并为等长替换，剩余部分保留为删除或插入
+     */
+    normalizeHunks(raw) {
+        const hunks = [];
+        let i = 0;
+        while (i < raw.length) {
+            if (raw[i].type === 'equal') {
+                this.pushHunk(hunks, 'equal', raw[i].aStart, raw[i].aLen, raw[i].bStart, raw[i].bLen);
+                i++;
+                continue;
+            }
+            
+            const aStart = raw[i].aStart;
+            const bStart = raw[i].bStart;
+            let lenA = 0;
+            let lenB = 0;
+            while (i < raw.length && raw[i].type !== 'equal') {
+                lenA += raw[i].aLen;
+                lenB += raw[i].bLen;
+                i++;
+            }
+            
+            const common = Math.min(lenA, lenB);
+            if (common > 0) this.pushHunk(hunks, 'modified', aStart, common, bStart, common);
+            if (lenA > common) this.pushHunk(hunks, 'removed', aStart + common, lenA - common, bStart + common, 0);
+            if (lenB > common) this.pushHunk(hunks, 'added', aStart + common, 0, bStart + common, lenB - common);
+        }
+        return hunks;
+    }
+};
+
+/**
+ * 带位置的解析错误，diagnostic 为 createDiagnostics 生成的诊断
+ */
+HexDiffCore.ParseError = class ParseError extends Error {
+    constructor(diagnostic) {
+        super(`第 ${diagnostic.line} 行第 ${diagnostic.column} 列: ${diagnostic.message}`);
+        this.name = 'ParseError';
+        this.diagnostic = diagnostic;
+    }
+};
+
+// 对齐算法参数
+HexDiffCore.MYERS_LIMIT = 16384;        // 两侧长度之和不超过此值时直接用 Myers
+HexDiffCore.MYERS_MAX_EDITS = 1024;     // Myers 最大编辑距离，超过则按整段替换
+HexDiffCore.MAX_ANCHOR_DEPTH = 8;       // 锚点递归深度
+HexDiffCore.MAX_ANCHOR_BLOCKS = 1 << 20; // 锚点索引的最大块数，超过则加大块长
+HexDiffCore.PROGRESS_STEP = 1 << 20;    // 每扫描这么多字节报告一次进度
+HexDiffCore.MAX_IMAGE_SPAN = 256 * 1024 * 1024; // Intel HEX / S-record 映像的最大地址跨度
+HexDiffCore.MAX_ALIGN_GAP = 16 * 1024 * 1024; // 按地址对齐时映像基址之间允许的最大距离
+HexDiffCore.MAX_DIAGNOSTICS = 200;      // 每个输入最多保留的解析诊断条数
+HexDiffCore.DIAGNOSTIC_TOKEN_LIMIT = 32; // 诊断中摘录的出错文本最大长度
+HexDiffCore.SEARCH_MAX_MATCHES = 100000; // 每个面板最多保留的搜索匹配数
+HexDiffCore.INSPECT_TEXT_LIMIT = 64;    // 数据检查器文本字段最多解码的字节数
+HexDiffCore.TEMPLATE_MAX_NODES = 20000; // 模板字段树的最大节点数，超出部分不再展开
+
+// 模板基本类型: size 为字节数，read 为 DataView 读取方法名
+HexDiffCore.TEMPLATE_TYPES = {
+    char: { size: 1, read: 'char' },
+    int8: { size: 1, read: 'Int8' },
+    uint8: { size: 1, read: 'Uint8' },
+    int16: { size: 2, read: 'Int16' },
+    uint16: { size: 2, read: 'Uint16' },
+    int32: { size: 4, read: 'Int32' },
+    uint32: { size: 4, read: 'Uint32' },
+    int64: { size: 8, read: 'BigInt64' },
+    uint64: { size: 8, read: 'BigUint64' },
+    float: { size: 4, read: 'Float32' },
+    double: { size: 8, read: 'Float64' }
+};
+HexDiffCore.TEMPLATE_TYPES.byte = HexDiffCore.TEMPLATE_TYPES.uint8;
+HexDiffCore.TEMPLATE_TYPES.u8 = HexDiffCore.TEMPLATE_TYPES.uint8;
+HexDiffCore.TEMPLATE_TYPES.u16 = HexDiffCore.TEMPLATE_TYPES.uint16;
+HexDiffCore.TEMPLATE_TYPES.u32 = HexDiffCore.TEMPLATE_TYPES.uint32;
+HexDiffCore.TEMPLATE_TYPES.u64 = HexDiffCore.TEMPLATE_TYPES.uint64;
+HexDiffCore.TEMPLATE_TYPES.i8 = HexDiffCore.TEMPLATE_TYPES.int8;
+HexDiffCore.TEMPLATE_TYPES.i16 = HexDiffCore.TEMPLATE_TYPES.int16;
+HexDiffCore.TEMPLATE_TYPES.i32 = HexDiffCore.TEMPLATE_TYPES.int32;
+HexDiffCore.TEMPLATE_TYPES.i64 = HexDiffCore.TEMPLATE_TYPES.int64;
+
+// 数组字面量: 类型名对应的元素字节数（char/short/long 的组合由 arrayElementWidth 处理）
+HexDiffCore.ARRAY_TYPE_WIDTHS = {
+    char: 1, int8_t: 1, uint8_t: 1, int8: 1, uint8: 1, i8: 1, u8: 1,
+    byte: 1, sbyte: 1, BYTE: 1, UCHAR: 1, UINT8: 1, bool: 1,
+    short: 2, int16_t: 2, uint16_t: 2, int16: 2, uint16: 2, i16: 2, u16: 2,
+    ushort: 2, char16_t: 2, WORD: 2, USHORT: 2, UINT16: 2,
+    int: 4, unsigned: 4, signed: 4, int32_t: 4, uint32_t: 4, int32: 4, uint32: 4, i32: 4, u32: 4,
+    uint: 4, char32_t: 4, DWORD: 4, ULONG: 4, UINT: 4, UINT32: 4,
+    long: 8, int64_t: 8, uint64_t: 8, int64: 8, uint64: 8, i64: 8, u64: 8,
+    ulong: 8, QWORD: 8, ULONGLONG: 8, UINT64: 8
+};
+// 数组字面量中可以忽略的标识符
+HexDiffCore.ARRAY_KEYWORDS = new Set([
+    'const', 'static', 'volatile', 'constexpr', 'extern', 'let', 'mut', 'var', 'final', 'pub',
+    'new', 'as', 'bytes', 'bytearray', 'vec', 'Vec', 'from', 'to_vec', 'std', 'array', 'ref'
+]);
+// 字符串前缀: 值为元素宽度，0 表示使用数组的元素宽度
+HexDiffCore.ARRAY_STRING_PREFIXES = {
+    '': 0, b: 0, B: 0, r: 0, R: 0, br: 0, bR: 0, Br: 0, BR: 0, rb: 0, rB: 0, Rb: 0, RB: 0,
+    u8: 0, L: 0, u: 2, U: 4
+};
+// 字符串中的单字符转义
+HexDiffCore.ARRAY_ESCAPES = {
+    n: 10, t: 9, r: 13, a: 7, b: 8, f: 12, v: 11, e: 27,
+    '\\': 92, '\'': 39, '"': 34, '?': 63
+};
+
+// 解码/变换步骤: param 为参数说明，options 为可选值（没有时为自由输入），defaultParam 为默认参数
+HexDiffCore.TRANSFORMS = [
+    { name: 'inflate', label: '解压', param: '格式', options: ['auto', 'gzip', 'zlib', 'raw'], defaultParam: 'auto' },
+    { name: 'xor', label: 'XOR', param: '密钥 (hex)', defaultParam: 'FF' },
+    { name: 'base64', label: 'Base64 解码' },
+    { name: 'base64url', label: 'Base64url 解码' },
+    { name: 'base32', label: 'Base32 解码' },
+    { name: 'hex', label: 'Hex 解码' },
+    { name: 'swap', label: '字节交换', param: '每组字节数', options: ['2', '4', '8'], defaultParam: '2' },
+    { name: 'bitrev', label: '位反转' },
+    { name: 'skip', label: '跳过', param: '字节数', defaultParam: '0' },
+    { name: 'take', label: '截取', param: '字节数', defaultParam: '256' }
+];
+HexDiffCore.BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// 差异报告
+HexDiffCore.REPORT_SCOPES = { all: '全部差异', selection: '选区', matches: '搜索匹配' };
+HexDiffCore.REPORT_TEXT_BYTES = 16;        // 文本报告每个区域列出的字节数
+HexDiffCore.REPORT_CONTEXT_ROWS = 3;       // 统一差异格式中差异前后的上下文行数
+HexDiffCore.REPORT_COLLAPSE_ROWS = 4;      // HTML 报告中连续这么多相同行时折叠
+HexDiffCore.REPORT_COLLAPSED_LIMIT = 4096; // 折叠区块最多包含的行数，超出部分不写入报告
+HexDiffCore.REPORT_HTML_STYLE = `
+body { margin: 20px; background: #0a0e14; color: #e6edf3; font: 13px/1.5 'JetBrains Mono', Consolas, monospace; }
+h1 { font-size: 18px; margin: 0 0 12px; }
+.meta { border-collapse: collapse; margin-bottom: 16px; }
+.meta th { text-align: left; color: #8b949e; font-weight: 400; padding: 2px 16px 2px 0; }
+.row { display: flex; height: 20px; white-space: pre; }
+i { font-style: normal; }
+.off { color: #00a8c6; width: 10ch; }
+.hex i { display: inline-block; width: 3ch; text-align: center; }
+.txt { margin-left: 1ch; padding-left: 1ch; border-left: 1px solid #21262d; color: #8b949e; }
+.txt i { display: inline-block; width: 1ch; }
+.sep { width: 1px; margin: 0 16px; background: #21262d; }
+.gap { color: #484f58; }
+.d-added { background: rgba(35, 134, 54, 0.35); color: #4ae168; }
+.d-removed { background: rgba(218, 54, 51, 0.35); color: #ff6b6b; }
+.d-modified { background: rgba(210, 153, 34, 0.4); color: #ffd93d; }
+.d-a-only { background: rgba(56, 139, 253, 0.35); color: #79b8ff; }
+.d-b-only { background: rgba(163, 113, 247, 0.35); color: #d2a8ff; }
+.d-both { background: rgba(46, 168, 155, 0.35); color: #56d4c4; }
+.d-conflict { background: rgba(255, 71, 87, 0.45); color: #ffb3ba; }
+.meta i { padding: 0 4px; }
+details { border-left: 2px solid #21262d; }
+summary { cursor: pointer; color: #484f58; padding-left: 8px; }
+.note { color: #484f58; padding-left: 10px; }
+`;
+
+// 文本列
+HexDiffCore.TEXT_SYNC_LIMIT = 1024;     // 寻找多字节字符边界时最多回退的字节数
+HexDiffCore.TEXT_NON_PRINTABLE = /[\u0000-\u001F\u007F-\u00A0\u00AD\u2028\u2029\uFEFF\uFFFD]/;
+// EBCDIC (代码页 037) 0x40-0xFE 对应的字符，0x00-0x3F 和 0xFF 为控制字符
+HexDiffCore.EBCDIC_037 =
+    ' \u00A0âäàáãåçñ¢.<(+|&éêëèíîïìß!$*);¬-/ÂÄÀÁÃÅÇÑ¦,%_>?øÉÊËÈÍÎÏÌ`:#@\'="Øabcdefghi«»ðýþ±°jklmnopqr' +
+    'ªºæ¸Æ¤µ~stuvwxyz¡¿ÐÝÞ®^£¥·©§¶¼½¾[]¯¨´×{ABCDEFGHI\u00ADôöòóõ}JKLMNOPQR¹ûüùúÿ\\÷STUVWXYZ²ÔÖÒÓÕ0123456789³ÛÜÙÚ';
+
+// 0-255 各字节中为 1 的位数
+HexDiffCore.BIT_COUNTS = Uint8Array.from({ length: 256 }, (_, i) => {
+    let n = 0;
+    for (let x = i; x; x >>= 1) n += x & 1;
+    return n;
+});
+
+// 导航条标志位
+HexDiffCore.BUCKET_ADDED = 1;
+HexDiffCore.BUCKET_REMOVED = 2;
+HexDiffCore.BUCKET_MODIFIED = 4;
+HexDiffCore.BUCKET_A_ONLY = 8;
+HexDiffCore.BUCKET_B_ONLY = 16;
+HexDiffCore.BUCKET_BOTH = 32;
+HexDiffCore.BUCKET_CONFLICT = 64;
+
+// 校验/摘要算法，crc 为通用 CRC 参数，width 为校验值字节数
+HexDiffCore.HASH_ALGORITHMS = [
+    { name: 'CRC-8', width: 1, crc: { width: 8, poly: 0x07, init: 0x00, refIn: false, refOut: false, xorOut: 0x00 } },
+    { name: 'CRC-16/ARC', width: 2, crc: { width: 16, poly: 0x8005, init: 0x0000, refIn: true, refOut: true, xorOut: 0x0000 } },
+    { name: 'CRC-16/MODBUS', width: 2, crc: { width: 16, poly: 0x8005, init: 0xFFFF, refIn: true, refOut: true, xorOut: 0x0000 } },
+    { name: 'CRC-16/CCITT-FALSE', width: 2, crc: { width: 16, poly: 0x1021, init: 0xFFFF, refIn: false, refOut: false, xorOut: 0x0000 } },
+    { name: 'CRC-16/XMODEM', width: 2, crc: { width: 16, poly: 0x1021, init: 0x0000, refIn: false, refOut: false, xorOut: 0x0000 } },
+    { name: 'CRC-32', width: 4 },
+    { name: 'Adler-32', width: 4 },
+    { name: 'MD5', width: 0 },
+    { name: 'SHA-1', width: 0 },
+    { name: 'SHA-256', width: 0 }
+];
+
+// 补丁格式常量
+HexDiffCore.IPS_EOF = 0x454F46;          // "EOF"
+HexDiffCore.IPS_MAX_OFFSET = 0x1000000;  // IPS 偏移只有 3 字节
+HexDiffCore.BPS_SOURCE_READ = 0;
+HexDiffCore.BPS_TARGET_READ = 1;
+HexDiffCore.BPS_SOURCE_COPY = 2;
+HexDiffCore.BPS_TARGET_COPY = 3;
+
+// Node 中作为 CommonJS 模块使用（见 hexdiff-cli.js）；页面和 Worker 中为全局的 HexDiffCore
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HexDiffCore;
+}
@@ -0,0 +1,40 @@
+/**
+ * HexDump Diff - 后台对比线程
+ * 在 Worker 中完成输入解析、差异计算、导航条统计和校验值计算，避免大数据阻塞页面
+ */
+
+importScripts('hexdiff-core.js');
+
+self.addEventListener('message', (e) => {
+    const job = e.data;
+    const report = (progress) => {
+        self.postMessage({ type: 'progress', id: job.id, ...progress });
+    };
+    
+    if (job.kind === 'hash') {
+        HexDiffCore.runHashes(job, report).then(result => {
+            self.postMessage({ type: 'result', id: job.id, result });
+        }).catch(err => {
+            self.postMessage({ type: 'error', id: job.id, message: err.message });
+        });
+        return;
+    }
+    
+    HexDiffCore.runCompare(job, report).then(result => {
+        // 解析结果通过转移所有权传回，避免复制大块内存；
+        // 未经变换的文件数据源原始字节主线程上已有，不必回传
+        const transfer = [result.gutter.buffer];
+        for (const panel of Object.keys(job.inputs)) {
+            const input = job.inputs[panel];
+            if (input.bytes && !(input.transforms && input.transforms.length > 0)) {
+                result[panel] = null;
+            } else if (result[panel]) {
+                transfer.push(result[panel].buffer);
+            }
+        }
+        
+        self.postMessage({ type: 'result', id: job.id, result }, transfer);
+    }).catch(err => {
+        self.postMessage({ type: 'error', id: job.id, message: err.message });
+    });
+});
@@ -14,21 +14,59 @@ class HexDiffViewer {
         // 数据
         this.dataA = null;
         this.dataB = null;
-        this.diffMap = new Map();
         
-        // 搜索
+        // 对齐结果: 按虚拟位置排列的段，A/B 中对应的字节在同一虚拟位置上
+        this.alignMode = 'align';
+        this.segments = [];
+        this.virtualLength = 0;
+        this.gutterBuckets = null;
+        
+        // 差异块: 连续的差异字节合并成的区域 { vStart, vLen, type }，按虚拟位置排序；
+        // diffBits 为对应的差异位图（见 HexDiffCore.diffBitmap），渲染时按位查询；
+        // currentHunk 为导航到的差异块下标，hunkSort 为侧栏列表的排序方式
+        this.hunks = [];
+        this.diffBits = new Uint8Array(0);
+        this.currentHunk = -1;
+        this.hunkSort = { key: 'offset', dir: 1 };
+        
+        // 后台任务
+        this.worker = null;
+        this.workerUnavailable = false;
+        this.activeJob = null;
+        this.jobId = 0;
+        this.comparing = Promise.resolve();
+        this.progressTimer = null;
+        
+        // 三方对比: 以 Base 为共同基准，逐字节区分仅 A 改动/仅 B 改动/相同改动/冲突
+        this.threeWay = false;
+        this.dataBase = null;
+        
+        // 文件数据源: 拖入/上传的文件直接以字节保存，不经过输入框
+        this.sources = { A: null, B: null, Base: null };
+        this.fileWindowStart = 0;
+        
+        // 带地址的映像（Intel HEX / S-record）: { base, ranges, entry }，base 为显示地址起点
+        this.images = { A: null, B: null, Base: null };
+        
+        // 搜索: searchMatches 为两侧匹配 { panel, start, end } 按对齐位置排序，panelMatches 按面板分组供渲染查找
         this.searchMatches = [];
+        this.panelMatches = { A: [], B: [] };
         this.currentMatchIndex = -1;
         
         // DOM 缓存
         this.elements = {};
         this.cacheElements();
         
-        // 虚拟滚动状态
+        // 虚拟滚动状态: topLine 为两侧共用的首个可见显示行（可带小数），scrollAnchor 为与之对应的 scrollTop；
+        // scrollState 为各面板已渲染的显示行窗口，start 为 -1 时全部重新填充；
+        // rowCache 为各面板正在显示的行元素（显示行号 → 元素），移出窗口的元素填充新行后复用
+        this.topLine = 0;
+        this.scrollAnchor = 0;
         this.scrollState = {
             A: { start: 0, end: 0 },
             B: { start: 0, end: 0 }
         };
+        this.rowCache = { A: new Map(), B: new Map() };
         
         // RAF 节流
         this.pendingRender = { A: false, B: false };
@@ -41,23 +79,88 @@ class HexDiffViewer {
             end: -1
         };
         
+        // 编辑: 光标（面板实际偏移，可位于末尾用于追加）、已输入的半字节、插入/覆盖模式
+        this.cursor = { panel: null, offset: -1, nibble: 0 };
+        this.insertMode = false;
+        // 撤销/重做栈，editBuffers 记录编辑产生的数据，数据被替换后撤销记录失效
+        this.undoStack = [];
+        this.redoStack = [];
+        this.editBuffers = { A: null, B: null };
+        
+        // 结构模板: 解析结果、应用偏移（显示偏移）和各面板的字段树
+        this.template = null;
+        this.templateOffset = 0;
+        this.templateResults = { A: null, B: null };
+        
+        // 解码/变换流水线: 各面板在解析之后、对比之前依次执行的步骤 [{ name, param }]，随会话保存；
+        // transformEditor 为正在编辑的 { panel, steps }
+        this.transforms = { A: [], B: [], Base: [], ...this.readSession().transforms };
+        this.transformEditor = null;
+        
+        // 文本列的字符编码，随会话保存
+        this.textEncoding = this.readSession().textEncoding || 'ascii';
+        
+        // 书签 [{ panel, offset }] 和导航条叠加层开关，随会话保存；
+        // gutterDragging 为在导航条上拖动中，entropyCache 为按导航条像素行统计的熵
+        this.bookmarks = this.readSession().bookmarks || [];
+        this.gutterLayers = { matches: true, bookmarks: true, entropy: false, ...this.readSession().gutterLayers };
+        this.gutterDragging = false;
+        this.entropyCache = null;
+        
+        // 显示方式（随会话保存）: viewMode 为 split（并排）或 unified（统一，A、B 的行交替显示），
+        // diffOnly 时折叠相同的行、差异前后保留 contextRows 行；expandedFolds 为已展开的折叠块（起始虚拟行），
+        // layout 为虚拟行到显示行的映射（见 updateLayout）；bitHeat 时已修改的字节按翻转的位数着色
+        const view = this.readSession().view || {};
+        this.viewMode = view.mode === 'unified' ? 'unified' : 'split';
+        this.diffOnly = !!view.diffOnly;
+        this.contextRows = view.contextRows !== undefined ? view.contextRows : 3;
+        this.bitHeat = !!view.bitHeat;
+        this.expandedFolds = new Set();
+        this.layout = { blocks: [], lines: 0 };
+        
+        // 字节格（随会话保存）: rowWidth 为所选行宽（字节数或 'fit' 适应窗口），bytesPerRow 为实际行宽；
+        // byteGroup 为每组字节数，groupEndian 为组内显示顺序，cellRadix 为 hex/bin/oct/dec/int（有符号十进制）
+        const grid = this.readSession().grid || {};
+        this.rowWidth = grid.rowWidth || 16;
+        this.byteGroup = grid.byteGroup || 1;
+        this.groupEndian = grid.groupEndian === 'be' ? 'be' : 'le';
+        this.cellRadix = grid.cellRadix || 'hex';
+        
         // 初始化
         this.bindEvents();
         this.bindSelectionEvents();
+        this.bindSidePanel();
+        this.bindTemplates();
+        this.bindEditEvents();
+        this.bindHashPanel();
+        this.bindTransforms();
+        this.bindGutter();
+        this.bindBitCard();
         this.updateDiffGutter();
     }
     
     cacheElements() {
         const ids = [
-            'inputA', 'inputB', 'byteCountA', 'byteCountB',
-            'formatA', 'formatB', 'bytesPerRow', 'compareBtn', 'clearBtn', 'swapBtn',
+            'inputA', 'inputB', 'inputBase', 'byteCountA', 'byteCountB', 'byteCountBase',
+            'diagnosticsA', 'diagnosticsB', 'diagnosticsBase', 'lenientParse',
+            'formatA', 'formatB', 'formatBase', 'threeWayBtn', 'mergeExport', 'mergePrefer',
+            'patchFormat', 'exportPatch', 'applyPatchBtn', 'patchFileInput',
+            'bytesPerRow', 'byteGroup', 'groupEndian', 'cellRadix', 'alignMode', 'textEncoding', 'arrayEndian', 'compareBtn', 'clearBtn', 'swapBtn',
             'contentA', 'contentB', 'viewportA', 'viewportB',
             'hexContainerA', 'hexContainerB', 'sizeA', 'sizeB',
             'searchInput', 'searchBtn', 'prevMatch', 'nextMatch', 'matchInfo',
-            'jumpToOffset', 'exportDiff', 'jumpModal', 'jumpOffset',
+            'searchMode', 'searchScope', 'searchIgnoreCase',
+            'jumpToOffset', 'prevHunk', 'nextHunk', 'diffView', 'viewMode', 'diffOnly', 'contextRows', 'bitHeat', 'bitInfo', 'bitCard', 'hunkHead', 'hunkBody', 'hunkInfo', 'matchBody', 'reportFormat', 'reportScope', 'exportDiff', 'jumpModal', 'jumpOffset',
             'jumpConfirm', 'jumpCancel', 'totalDiffs', 'currentOffset',
-            'selectionInfo', 'diffCanvas', 'resultSection',
-            'contextMenu', 'copyHex', 'copyHexNoSpace', 'copyAscii', 'copyCArray', 'selectAll'
+            'selectionInfo', 'diffGutter', 'diffCanvas', 'gutterViewport', 'gutterTooltip', 'resultSection',
+            'layerMatches', 'layerBookmarks', 'layerEntropy', 'toggleBookmark',
+            'compareProgress', 'progressFill', 'progressText', 'cancelCompare',
+            'contextMenu', 'copyHex', 'copyHexNoSpace', 'copyText', 'copyCArray', 'copyUnified', 'selectAll',
+            'sidePanel', 'sidePanelToggle', 'inspectorEndian', 'inspectorOffset', 'inspectorBody',
+            'templateSelect', 'templateSave', 'templateDelete', 'templateText',
+            'templateOffset', 'templateApply', 'templateClear', 'templateTree', 'editInfo',
+            'hashScope', 'hashCompute', 'hashRange', 'hashBody',
+            'transformModal', 'transformTitle', 'transformSteps', 'transformAdd', 'transformConfirm', 'transformCancel'
         ];
         
         ids.forEach(id => {
@@ -69,6 +172,12 @@ class HexDiffViewer {
         // 对比按钮（点击时显示错误）
         this.elements.compareBtn.addEventListener('click', () => this.compare(true));
         
+        // 取消正在进行的对比
+        this.elements.cancelCompare.addEventListener('click', () => {
+            this.cancelFileReads();
+            this.cancelJob();
+        });
+        
         // 清空按钮
         this.elements.clearBtn.addEventListener('click', () => this.clear());
         
@@ -93,23 +202,30 @@ class HexDiffViewer {
             this.debounceTimer = setTimeout(() => this.compare(), 150);
         };
         
-        this.elements.inputA.addEventListener('input', () => {
-            this.updateByteCount('A');
-            autoCompare();
-        });
-        this.elements.inputB.addEventListener('input', () => {
-            this.updateByteCount('B');
-            autoCompare();
+        HexDiffViewer.INPUT_PANELS.forEach(panel => {
+            this.elements[`input${panel}`].addEventListener('input', () => {
+                this.updateByteCount(panel);
+                autoCompare();
+            });
+            
+            // 格式切换时自动重新对比
+            this.elements[`format${panel}`].addEventListener('change', () => {
+                this.updateByteCount(panel);
+                autoCompare();
+            });
         });
         
-        // 格式切换时自动重新对比
-        this.elements.formatA.addEventListener('change', () => {
-            this.updateByteCount('A');
-            autoCompare();
-        });
-        this.elements.formatB.addEventListener('change', () => {
-            this.updateByteCount('B');
-            autoCompare();
+        // 三方对比开关
+        this.elements.threeWayBtn.addEventListener('click', () => this.toggleThreeWay());
+        this.elements.mergeExport.addEventListener('click', () => this.exportMerged());
+        
+        // 补丁
+        this.elements.exportPatch.addEventListener('click', () => this.exportPatch());
+        this.elements.applyPatchBtn.addEventListener('click', () => this.elements.patchFileInput.click());
+        this.elements.patchFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.applyPatchFile(file);
+            e.target.value = '';
         });
         
         // 折叠输入按钮
@@ -120,24 +236,92 @@ class HexDiffViewer {
             toggleInputBtn.textContent = inputSection.classList.contains('collapsed') ? '↕ 展开输入' : '↕ 折叠输入';
         });
         
-        // 每行字节数
-        this.elements.bytesPerRow.addEventListener('change', (e) => {
-            this.bytesPerRow = parseInt(e.target.value);
-            if (this.dataA || this.dataB) {
-                this.resetScroll();
-                this.render();
-            }
+        // 每行字节数、分组、字节序和进制
+        this.initGridControls();
+        
+        // 显示方式
+        this.elements.viewMode.value = this.viewMode;
+        this.elements.diffOnly.checked = this.diffOnly;
+        this.elements.contextRows.value = String(this.contextRows);
+        this.elements.contextRows.disabled = !this.diffOnly;
+        this.elements.diffView.classList.toggle('unified', this.viewMode === 'unified');
+        this.elements.viewMode.addEventListener('change', (e) => this.setViewOptions({ viewMode: e.target.value }));
+        this.elements.diffOnly.addEventListener('change', (e) => this.setViewOptions({ diffOnly: e.target.checked }));
+        this.elements.contextRows.addEventListener('change', (e) => {
+            this.setViewOptions({ contextRows: parseInt(e.target.value, 10) });
+        });
+        this.elements.bitHeat.checked = this.bitHeat;
+        this.elements.bitHeat.addEventListener('change', (e) => {
+            this.bitHeat = e.target.checked;
+            this.writeViewSession();
+            this.scrollState = { A: { start: -1, end: -1 }, B: { start: -1, end: -1 } };
+            this.render();
+        });
+        
+        // 对齐方式
+        this.elements.alignMode.addEventListener('change', (e) => {
+            this.alignMode = e.target.value;
+            this.compare();
+        });
+        
+        // 文本列编码
+        this.elements.textEncoding.value = this.textEncoding;
+        if (!this.elements.textEncoding.value) {
+            // 会话中保存的编码已不存在
+            this.textEncoding = this.elements.textEncoding.value = 'ascii';
+        }
+        this.updateCopyTextLabel();
+        this.elements.textEncoding.addEventListener('change', (e) => {
+            this.textEncoding = e.target.value;
+            this.writeSession({ textEncoding: this.textEncoding });
+            this.updateCopyTextLabel();
+            this.render();
+        });
+        
+        // 数组字面量宽元素的字节序、宽松解析
+        ['arrayEndian', 'lenientParse'].forEach(id => {
+            this.elements[id].addEventListener('change', () => {
+                HexDiffViewer.INPUT_PANELS.forEach(panel => this.updateByteCount(panel));
+                this.compare();
+            });
         });
         
         // 滚动同步
         this.elements.viewportA.addEventListener('scroll', () => this.handleScroll('A'), { passive: true });
         this.elements.viewportB.addEventListener('scroll', () => this.handleScroll('B'), { passive: true });
         
+        // 折叠标记: 点击展开
+        ['A', 'B'].forEach(panel => {
+            this.elements[`content${panel}`].addEventListener('click', (e) => {
+                const fold = e.target.closest('.fold-row');
+                if (fold && this.expandFoldAt(parseInt(fold.dataset.row, 10))) {
+                    this.render();
+                    this.updateGutterViewport();
+                }
+            });
+        });
+        
+        // 滚动区域被压缩时滚动条的一个像素跨越多行，滚轮改为按行滚动
+        ['A', 'B'].forEach(panel => {
+            this.elements[`viewport${panel}`].addEventListener('wheel', (e) => {
+                if (!this.scrollScaled() || e.deltaY === 0) return;
+                e.preventDefault();
+                const pageRows = this.elements.viewportA.clientHeight / this.rowHeight;
+                const unit = e.deltaMode === 1 ? 1 : e.deltaMode === 2 ? pageRows : 1 / this.rowHeight;
+                this.scrollToLine(this.topLine + e.deltaY * unit);
+            }, { passive: false });
+        });
+        
         // 搜索
         this.elements.searchBtn.addEventListener('click', () => this.search());
         this.elements.searchInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.search();
         });
+        this.elements.searchMode.addEventListener('change', () => {
+            const mode = this.elements.searchMode.value;
+            this.elements.searchInput.placeholder = HexDiffViewer.SEARCH_PLACEHOLDERS[mode];
+            this.elements.searchIgnoreCase.disabled = mode === 'hex';
+        });
         this.elements.prevMatch.addEventListener('click', () => this.navigateMatch(-1));
         this.elements.nextMatch.addEventListener('click', () => this.navigateMatch(1));
         
@@ -155,7 +339,8 @@ class HexDiffViewer {
         // 窗口调整
         window.addEventListener('resize', () => {
             this.updateDiffGutter();
-            if (this.dataA || this.dataB) this.render();
+            if (this.rowWidth === 'fit') this.applyGridOptions({});
+            else if (this.dataA || this.dataB) this.render();
         });
         
         // 快捷键
@@ -168,6 +353,14 @@ class HexDiffViewer {
                 e.preventDefault();
                 this.showJumpModal();
             }
+            if (e.key === 'F7') {
+                e.preventDefault();
+                this.navigateHunk(e.shiftKey ? -1 : 1);
+            }
+            if (e.ctrlKey && e.key === 'b' && !(e.target.closest && e.target.closest('input, textarea, select'))) {
+                e.preventDefault();
+                this.toggleBookmark();
+            }
             if (e.ctrlKey && e.key === 'c' && this.selection.start >= 0) {
                 e.preventDefault();
                 this.copySelection('hex');
@@ -176,7 +369,7 @@ class HexDiffViewer {
     }
     
     bindFileUpload() {
-        ['A', 'B'].forEach(panel => {
+        HexDiffViewer.INPUT_PANELS.forEach(panel => {
             const uploadBtn = document.getElementById(`uploadBtn${panel}`);
             const fileInput = document.getElementById(`fileInput${panel}`);
             const closeBtn = document.querySelector(`.close-file-btn[data-panel="${panel}"]`);
@@ -198,11 +391,19 @@ class HexDiffViewer {
             closeBtn.addEventListener('click', () => {
                 this.clearFileDisplay(panel);
             });
+            
+            // 大文件窗口切换
+            document.querySelector(`.window-prev[data-panel="${panel}"]`).addEventListener('click', () => {
+                this.setFileWindow(this.fileWindowStart - HexDiffViewer.FILE_WINDOW_SIZE);
+            });
+            document.querySelector(`.window-next[data-panel="${panel}"]`).addEventListener('click', () => {
+                this.setFileWindow(this.fileWindowStart + HexDiffViewer.FILE_WINDOW_SIZE);
+            });
         });
     }
     
     bindDragDrop() {
-        ['A', 'B'].forEach(panel => {
+        HexDiffViewer.INPUT_PANELS.forEach(panel => {
             const dropZone = document.getElementById(`dropZone${panel}`);
             
             // 阻止默认拖拽行为
@@ -237,42 +438,201 @@ class HexDiffViewer {
         });
     }
     
-    loadFile(file, panel) {
+    /**
+     * 文件以原始字节作为数据源，不再转换成十六进制文本放入输入框
+     * 超过 MAX_FILE_BYTES 的文件只读取当前窗口，可逐窗口对比
+     */
+    async loadFile(file, panel) {
+        // Intel HEX / S-record 是文本格式，载入输入框按地址解析
+        const imageFormat = HexDiffViewer.imageFormatOf(file.name);
+        if (imageFormat && file.size <= HexDiffViewer.MAX_IMAGE_TEXT_BYTES) {
+            let text;
+            try {
+                text = await file.text();
+            } catch (e) {
+                alert(`读取文件失败: ${file.name}`);
+                return;
+            }
+            this.clearFileDisplay(panel);
+            this.elements[`input${panel}`].value = text;
+            this.elements[`format${panel}`].value = imageFormat;
+            this.updateByteCount(panel);
+            this.compare();
+            return;
+        }
+        
         const fileNameEl = document.getElementById(`fileName${panel}`);
         const fileOverlay = document.getElementById(`fileOverlay${panel}`);
-        const inputEl = this.elements[`input${panel}`];
         
         // 显示文件名
         fileNameEl.textContent = file.name;
         fileOverlay.classList.add('active');
         
-        // 读取文件
-        const reader = new FileReader();
-        
-        reader.onload = (e) => {
-            const arrayBuffer = e.target.result;
-            const uint8Array = new Uint8Array(arrayBuffer);
-            
-            // 转换为十六进制字符串
-            const hexString = Array.from(uint8Array)
-                .map(b => b.toString(16).toUpperCase().padStart(2, '0'))
-                .join(' ');
-            
-            // 设置输入内容
-            inputEl.value = hexString;
-            
-            // 更新字节计数并触发对比
-            this.updateByteCount(panel);
-            this.compare();
+        const source = {
+            name: file.name,
+            file: file,
+            size: file.size,
+            windowed: file.size > HexDiffViewer.MAX_FILE_BYTES,
+            windowStart: 0,
+            bytes: null,
+            read: null
         };
+        this.sources[panel] = source;
+        this.elements[`input${panel}`].value = '';
+        this.updateFileInfo(panel);
+        this.updateTransformChain(panel);
         
-        reader.onerror = () => {
-            alert(`读取文件失败: ${file.name}`);
+        try {
+            Object.assign(source, await this.readSource(source, this.fileWindowStart));
+        } catch (e) {
+            if (this.sources[panel] !== source) return;
+            if (!e.cancelled) alert(`读取文件失败: ${file.name}`);
             this.clearFileDisplay(panel);
+            return;
+        }
+        
+        // 读取期间又换了文件
+        if (this.sources[panel] !== source) return;
+        
+        // 更新字节计数并触发对比
+        this.updateFileInfo(panel);
+        this.updateByteCount(panel);
+        this.compare();
+    }
+    
+    /**
+     * 读取数据源在 windowStart 窗口内的字节，按块读取以便显示进度和取消，返回 { bytes, windowStart }；
+     * 由调用方在所有读取完成后再写回数据源，读取失败或取消时数据源保持原样。
+     * source.read 为当前读取的标记，取消或开始新的读取后旧的读取在下一块时结束
+     */
+    async readSource(source, windowStart) {
+        const start = source.windowed ? Math.min(windowStart, source.size) : 0;
+        const end = source.windowed ? Math.min(source.size, start + HexDiffViewer.FILE_WINDOW_SIZE) : source.size;
+        const bytes = new Uint8Array(end - start);
+        
+        const read = {};
+        source.read = read;
+        try {
+            for (let pos = start; pos < end; pos += HexDiffViewer.FILE_CHUNK_SIZE) {
+                const chunkEnd = Math.min(end, pos + HexDiffViewer.FILE_CHUNK_SIZE);
+                const buffer = await source.file.slice(pos, chunkEnd).arrayBuffer();
+                if (source.read !== read) throw { cancelled: true };
+                
+                bytes.set(new Uint8Array(buffer), pos - start);
+                this.showProgress({
+                    phase: `读取 ${source.name}`,
+                    percent: Math.round((chunkEnd - start) / (end - start) * 100)
+                });
+            }
+        } finally {
+            if (source.read === read) source.read = null;
+            this.hideProgress();
+        }
+        
+        return { bytes, windowStart: start };
+    }
+    
+    cancelFileReads() {
+        HexDiffViewer.INPUT_PANELS.forEach(panel => {
+            if (this.sources[panel]) this.sources[panel].read = null;
+        });
+    }
+    
+    /**
+     * 移动大文件的读取窗口，所有按窗口读取的数据源同步移动
+     */
+    async setFileWindow(start) {
+        const windowed = HexDiffViewer.INPUT_PANELS.filter(panel => this.sources[panel] && this.sources[panel].windowed);
+        if (windowed.length === 0) return;
+        
+        const maxSize = Math.max(...windowed.map(panel => this.sources[panel].size));
+        const windowSize = HexDiffViewer.FILE_WINDOW_SIZE;
+        start = Math.floor(Math.max(0, start) / windowSize) * windowSize;
+        if (start >= maxSize) start = Math.floor((maxSize - 1) / windowSize) * windowSize;
+        if (start === this.fileWindowStart && windowed.every(panel => this.sources[panel].bytes)) return;
+        
+        // 全部读取成功后才切换窗口，失败或取消时各数据源仍是原窗口的数据
+        const sources = windowed.map(panel => this.sources[panel]);
+        const reads = [];
+        try {
+            for (const source of sources) {
+                reads.push(await this.readSource(source, start));
+            }
+        } catch (e) {
+            if (!e.cancelled) alert('读取文件失败');
+            return;
+        }
+        // 读取期间换了文件
+        if (windowed.some((panel, index) => this.sources[panel] !== sources[index])) return;
+        
+        this.fileWindowStart = start;
+        windowed.forEach((panel, index) => {
+            Object.assign(sources[index], reads[index]);
+            this.updateFileInfo(panel);
+        });
+        
+        await this.compare();
+    }
+    
+    /**
+     * 文件遮罩上显示大小、开头字节预览和窗口位置，代替把整个文件写入输入框
+     */
+    updateFileInfo(panel) {
+        const source = this.sources[panel];
+        const metaEl = document.getElementById(`fileMeta${panel}`);
+        const windowEl = document.getElementById(`fileWindow${panel}`);
+        if (!source) return;
+        
+        let meta = this.formatSize(source.size);
+        if (source.bytes) {
+            const preview = Array.from(source.bytes.subarray(0, 16))
+                .map(b => b.toString(16).toUpperCase().padStart(2, '0'))
+                .join(' ');
+            if (preview) meta += ` · ${preview}${source.bytes.length > 16 ? ' …' : ''}`;
+        }
+        metaEl.textContent = meta;
+        
+        windowEl.classList.toggle('active', source.windowed);
+        if (source.windowed && source.bytes) {
+            const windowSize = HexDiffViewer.FILE_WINDOW_SIZE;
+            const index = Math.floor(source.windowStart / windowSize) + 1;
+            const total = Math.ceil(source.size / windowSize);
+            const end = source.windowStart + source.bytes.length - 1;
+            document.getElementById(`fileWindowInfo${panel}`).textContent =
+                `窗口 ${index}/${total} (0x${source.windowStart.toString(16).toUpperCase()}-0x${end.toString(16).toUpperCase()})`;
+        }
+    }
+    
+    /**
+     * 面板数据在原始文件（或映像地址空间）中的起始偏移，用于显示真实地址
+     */
+    baseOffset(panel) {
+        if (this.images[panel]) return this.images[panel].base;
+        const source = this.sources[panel];
+        return source && source.windowed ? source.windowStart : 0;
+    }
+    
+    /**
+     * 以内存中的字节作为面板数据源（如应用补丁的结果），显示方式与文件相同
+     */
+    setBinarySource(panel, name, bytes) {
+        if (this.sources[panel]) this.sources[panel].read = null;
+        this.sources[panel] = {
+            name: name,
+            file: null,
+            size: bytes.length,
+            windowed: false,
+            windowStart: 0,
+            bytes: bytes,
+            read: null
         };
         
-        // 读取为 ArrayBuffer
-        reader.readAsArrayBuffer(file);
+        document.getElementById(`fileName${panel}`).textContent = name;
+        document.getElementById(`fileOverlay${panel}`).classList.add('active');
+        this.elements[`input${panel}`].value = '';
+        this.updateFileInfo(panel);
+        this.updateByteCount(panel);
+        this.updateTransformChain(panel);
     }
     
     clearFileDisplay(panel) {
@@ -280,11 +640,15 @@ class HexDiffViewer {
         const fileInput = document.getElementById(`fileInput${panel}`);
         const inputEl = this.elements[`input${panel}`];
         
+        if (this.sources[panel]) this.sources[panel].read = null;
+        this.sources[panel] = null;
+        
         fileOverlay.classList.remove('active');
         fileInput.value = '';
         inputEl.value = '';
         
         this.updateByteCount(panel);
+        this.updateTransformChain(panel);
         this.compare();
     }
     
@@ -301,20 +665,23 @@ class HexDiffViewer {
                 if (!byte) return;
                 
                 const offset = parseInt(byte.dataset.offset);
+                const side = this.bytePanel(byte);
                 this.selection = {
                     active: true,
-                    panel: panel,
+                    panel: side,
                     start: offset,
                     end: offset
                 };
+                this.cursor = { panel: side, offset, nibble: 0 };
+                this.updateEditInfo();
                 this.updateSelectionDisplay();
             });
             
             content.addEventListener('mousemove', (e) => {
-                if (!this.selection.active || this.selection.panel !== panel) return;
+                if (!this.selection.active) return;
                 
                 const byte = e.target.closest('.hex-byte[data-offset]');
-                if (!byte) return;
+                if (!byte || this.bytePanel(byte) !== this.selection.panel) return;
                 
                 const offset = parseInt(byte.dataset.offset);
                 this.selection.end = offset;
@@ -342,7 +709,7 @@ class HexDiffViewer {
                     if (this.selection.start < 0) {
                         this.selection = {
                             active: false,
-                            panel: panel,
+                            panel: this.bytePanel(byte),
                             start: offset,
                             end: offset
                         };
@@ -394,8 +761,8 @@ class HexDiffViewer {
             this.hideContextMenu();
         });
         
-        this.elements.copyAscii.addEventListener('click', () => {
-            this.copySelection('ascii');
+        this.elements.copyText.addEventListener('click', () => {
+            this.copySelection('text');
             this.hideContextMenu();
         });
         
@@ -404,10 +771,27 @@ class HexDiffViewer {
             this.hideContextMenu();
         });
         
+        this.elements.copyUnified.addEventListener('click', () => {
+            this.copySelection('unified');
+            this.hideContextMenu();
+        });
+        
         this.elements.selectAll.addEventListener('click', () => {
             this.selectAllBytes();
             this.hideContextMenu();
         });
+        
+        this.elements.toggleBookmark.addEventListener('click', () => {
+            this.toggleBookmark();
+            this.hideContextMenu();
+        });
+    }
+    
+    /**
+     * 字节所在的面板；统一视图中 B 的行也显示在 A 面板里
+     */
+    bytePanel(byte) {
+        return byte.closest('.hex-row').dataset.panel;
     }
     
     updateSelectionDisplay() {
@@ -417,335 +801,1601 @@ class HexDiffViewer {
         
         // 更新状态栏
         if (start >= 0) {
-            this.elements.selectionInfo.textContent = `选中: ${count} 字节 (0x${start.toString(16).toUpperCase()}-0x${end.toString(16).toUpperCase()})`;
+            const base = this.baseOffset(this.selection.panel);
+            this.elements.selectionInfo.textContent = `选中: ${count} 字节 (0x${(base + start).toString(16).toUpperCase()}-0x${(base + end).toString(16).toUpperCase()})`;
         } else {
             this.elements.selectionInfo.textContent = '';
         }
         
         // 更新视觉选择（通过重新渲染）
         this.render();
+        this.updateInspector();
+    }
+    
+    /**
+     * 面板数据被替换后选区和光标不超出新数据的末尾: 截到末尾，该侧没有数据时清除
+     */
+    clampSelection() {
+        const { panel, start, end } = this.selection;
+        if (panel && start >= 0) {
+            const data = this.panelData(panel);
+            const last = data ? data.length - 1 : -1;
+            if (last < 0) {
+                this.selection = { active: false, panel: null, start: -1, end: -1 };
+                this.elements.selectionInfo.textContent = '';
+            } else if (Math.max(start, end) > last) {
+                this.selection = { active: false, panel, start: Math.min(start, last), end: Math.min(end, last) };
+                this.updateSelectionDisplay();
+            }
+        }
+        
+        // 光标可以停在末尾之后一位，用于追加
+        if (this.cursor.panel) {
+            const data = this.panelData(this.cursor.panel);
+            if (!data) this.cursor = { panel: null, offset: -1, nibble: 0 };
+            else if (this.cursor.offset > data.length) this.cursor = { ...this.cursor, offset: data.length, nibble: 0 };
+            this.updateEditInfo();
+        }
     }
     
     clearSelection() {
         this.selection = { active: false, panel: null, start: -1, end: -1 };
         this.elements.selectionInfo.textContent = '';
         this.render();
+        this.updateInspector();
     }
     
-    selectAllBytes() {
-        const panel = this.selection.panel || 'A';
-        const data = panel === 'A' ? this.dataA : this.dataB;
-        if (!data || data.length === 0) return;
+    bindSidePanel() {
+        this.elements.sidePanelToggle.addEventListener('click', () => {
+            const visible = this.elements.sidePanel.classList.toggle('active');
+            this.elements.sidePanelToggle.classList.toggle('active', visible);
+            if (visible) this.updateInspector();
+            this.updateDiffGutter();
+        });
         
-        this.selection = {
-            active: false,
-            panel: panel,
-            start: 0,
-            end: data.length - 1
-        };
-        this.updateSelectionDisplay();
-    }
-    
-    showContextMenu(x, y) {
-        const menu = this.elements.contextMenu;
-        menu.classList.add('active');
+        this.elements.sidePanel.querySelectorAll('.side-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.showSideTab(tab.dataset.tab));
+        });
         
-        // 确保菜单不超出屏幕
-        const rect = menu.getBoundingClientRect();
-        const maxX = window.innerWidth - 170;
-        const maxY = window.innerHeight - 200;
+        this.elements.inspectorEndian.addEventListener('change', () => this.updateInspector());
         
-        menu.style.left = Math.min(x, maxX) + 'px';
-        menu.style.top = Math.min(y, maxY) + 'px';
+        // 差异块列表: 点击表头排序，点击行跳转
+        this.elements.hunkHead.addEventListener('click', (e) => {
+            const th = e.target.closest('th[data-sort]');
+            if (!th) return;
+            const key = th.dataset.sort;
+            this.hunkSort = { key, dir: this.hunkSort.key === key ? -this.hunkSort.dir : 1 };
+            this.renderHunkList();
+        });
+        this.elements.hunkBody.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-index]');
+            if (row) this.goToHunk(parseInt(row.dataset.index));
+        });
+        
+        // 搜索匹配列表: 点击行跳转
+        this.elements.matchBody.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-index]');
+            if (!row) return;
+            this.currentMatchIndex = parseInt(row.dataset.index);
+            this.goToMatch(this.currentMatchIndex);
+            this.updateMatchInfo();
+        });
+        this.elements.prevHunk.addEventListener('click', () => this.navigateHunk(-1));
+        this.elements.nextHunk.addEventListener('click', () => this.navigateHunk(1));
     }
     
-    hideContextMenu() {
-        this.elements.contextMenu.classList.remove('active');
+    showSideTab(name) {
+        this.elements.sidePanel.querySelectorAll('.side-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tab === name);
+        });
+        this.elements.sidePanel.querySelectorAll('.side-tab-content').forEach(content => {
+            content.classList.toggle('active', content.dataset.tab === name);
+        });
     }
     
-    copySelection(format) {
-        if (this.selection.start < 0) return;
-        
-        const panel = this.selection.panel || 'A';
-        const data = panel === 'A' ? this.dataA : this.dataB;
-        if (!data) return;
-        
-        const start = Math.min(this.selection.start, this.selection.end);
-        const end = Math.max(this.selection.start, this.selection.end);
-        const bytes = data.slice(start, end + 1);
+    /**
+     * 按当前对齐结果重新划分差异块（与导出报告的区域相同），刷新差异位图、显示行布局、侧栏列表和状态栏；
+     * regions 为后台对比已算好的区域，省略时按当前段重新计算
+     */
+    updateHunks(regions) {
+        const empty = new Uint8Array(0);
+        this.hunks = regions || HexDiffCore.diffRegions(this.segments, this.dataA || empty, this.dataB || empty);
+        this.diffBits = HexDiffCore.diffBitmap(this.hunks, this.virtualLength);
+        this.currentHunk = -1;
+        this.refreshHunks();
+    }
+    
+    /**
+     * 编辑后只重新划分 rediffEdit 给出的虚拟范围 window 内的差异块（与范围相接的旧差异块一并重算），
+     * 其后的差异块按 delta 平移，差异位图只改写变化的部分；导航到的差异块仍然存在时保留
+     */
+    patchHunks(window) {
+        const { start, end, delta } = window;
+        const oldEnd = end - delta;
+        const hunks = this.hunks;
+        const search = (test) => {
+            let lo = 0;
+            let hi = hunks.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >>> 1;
+                if (test(hunks[mid])) hi = mid;
+                else lo = mid + 1;
+            }
+            return lo;
+        };
+        const first = search(hunk => hunk.vStart + hunk.vLen >= start);
+        const last = search(hunk => hunk.vStart > oldEnd);
+        const from = first < last ? Math.min(start, hunks[first].vStart) : start;
+        const to = first < last ? Math.max(oldEnd, hunks[last - 1].vStart + hunks[last - 1].vLen) : oldEnd;
         
-        let text = '';
+        const empty = new Uint8Array(0);
+        const regions = HexDiffCore.diffRegions(this.segments, this.dataA || empty, this.dataB || empty, from, to + delta);
+        const tail = delta === 0 ? hunks.slice(last) : hunks.slice(last).map(hunk => ({ ...hunk, vStart: hunk.vStart + delta }));
         
-        switch (format) {
-            case 'hex':
-                text = Array.from(bytes).map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
-                break;
-            case 'hexNoSpace':
-                text = Array.from(bytes).map(b => b.toString(16).toUpperCase().padStart(2, '0')).join('');
-                break;
-            case 'ascii':
-                text = Array.from(bytes).map(b => b >= 32 && b < 127 ? String.fromCharCode(b) : '.').join('');
-                break;
-            case 'carray':
-                text = '{ ' + Array.from(bytes).map(b => '0x' + b.toString(16).toUpperCase().padStart(2, '0')).join(', ') + ' }';
-                break;
+        if (delta === 0) {
+            HexDiffCore.fillBitmap(this.diffBits, from, to, false);
+        } else {
+            // 长度变化时范围之前的位原样保留，其后的差异块按新位置重新填充
+            const bits = new Uint8Array(Math.ceil(this.virtualLength / 8));
+            bits.set(this.diffBits.subarray(0, Math.min(bits.length, Math.ceil(from / 8))));
+            HexDiffCore.fillBitmap(bits, from, Math.min(bits.length * 8, Math.ceil(from / 8) * 8), false);
+            for (const hunk of tail) HexDiffCore.fillBitmap(bits, hunk.vStart, hunk.vStart + hunk.vLen, true);
+            this.diffBits = bits;
         }
-        
-        navigator.clipboard.writeText(text).then(() => {
-            // 可选：显示复制成功提示
-        }).catch(err => {
-            console.error('复制失败:', err);
-        });
+        for (const region of regions) HexDiffCore.fillBitmap(this.diffBits, region.vStart, region.vStart + region.vLen, true);
+        
+        const current = this.currentHunk;
+        if (current >= last) {
+            this.currentHunk = current + regions.length - (last - first);
+        } else if (current >= first) {
+            const old = hunks[current];
+            const index = regions.findIndex(region => region.vStart < old.vStart + old.vLen && region.vStart + region.vLen > old.vStart);
+            this.currentHunk = index < 0 ? -1 : first + index;
+        }
+        this.hunks = hunks.slice(0, first).concat(regions, tail);
+        this.refreshHunks();
     }
     
-    updateByteCount(panel) {
-        const input = this.elements[`input${panel}`];
-        const countEl = this.elements[`byteCount${panel}`];
-        
-        try {
-            const bytes = this.parseInput(input.value, panel);
-            countEl.textContent = `${bytes.length} 字节`;
-            countEl.style.color = '';
-        } catch (e) {
-            countEl.textContent = '格式错误';
-            countEl.style.color = 'var(--accent-red)';
-        }
+    /**
+     * 差异块变化后刷新显示行布局、侧栏列表和状态栏
+     */
+    refreshHunks() {
+        this.updateLayout();
+        this.renderHunkList();
+        this.updateHunkInfo();
+        
+        // 汉明距离: 两侧都有的字节翻转的位数，三方对比时不适用
+        const bits = this.hunks.reduce((sum, hunk) => sum + hunk.bits, 0);
+        this.elements.bitInfo.textContent = this.hunks.length > 0 && !this.dataBase ? `翻转: ${bits.toLocaleString()} 位` : '';
     }
     
-    parseInput(text, panel) {
-        if (!text.trim()) return new Uint8Array(0);
-        
-        const format = this.elements[`format${panel}`].value;
-        
-        switch (format) {
-            case 'auto':
-                return this.parseAuto(text);
-            case 'hex':
-                return this.parseHex(text);
-            case 'hexdump':
-                return this.parseHexdump(text);
-            case 'c_array':
-                return this.parseCArray(text);
-            case 'base64':
-                return this.parseBase64(text);
-            default:
-                return this.parseAuto(text);
-        }
-    }
-    
-    parseAuto(text) {
-        const trimmed = text.trim();
-        
-        console.log('parseAuto - input (first 100 chars):', text.substring(0, 100));
-        
-        // 检测 Base64 (只包含 base64 字符且长度合适)
-        // 排除纯十六进制的情况（只包含0-9a-fA-F和0x前缀）
-        const cleanedForBase64Check = trimmed.replace(/\s/g, '');
-        const isPureHex = /^(?:0x)?[0-9a-fA-F]+$/.test(cleanedForBase64Check.replace(/0x/gi, ''));
-        const isBase64 = /^[A-Za-z0-9+/]+=*$/.test(cleanedForBase64Check) && 
-                         trimmed.length > 10 && 
-                         !isPureHex;  // 排除纯十六进制
-        console.log('parseAuto - isPureHex:', isPureHex);
-        console.log('parseAuto - isBase64:', isBase64);
-        if (isBase64) {
-            try {
-                console.log('parseAuto - trying Base64');
-                return this.parseBase64(text);
-            } catch (e) { 
-                console.log('parseAuto - Base64 failed:', e);
-            }
+    /**
+     * 侧栏差异块列表，按 hunkSort 排序，最多列出 HUNK_LIST_LIMIT 项
+     */
+    renderHunkList() {
+        const { key, dir } = this.hunkSort;
+        const order = this.hunks.map((hunk, index) => index);
+        if (key === 'length' || key === 'bits') {
+            const field = key === 'length' ? 'vLen' : 'bits';
+            order.sort((x, y) => (this.hunks[x][field] - this.hunks[y][field]) * dir || x - y);
+        } else if (key === 'type') {
+            order.sort((x, y) => this.hunks[x].type.localeCompare(this.hunks[y].type) * dir || x - y);
+        } else if (dir < 0) {
+            order.reverse();
         }
         
-        // 检测 hexdump 格式 (行首有地址)
-        // 特征: 行首是长十六进制数(>=6位)，后面跟着冒号或多个空格，再跟着十六进制数据
-        // 修复: 必须在地址后有实际的十六进制数据，避免误判纯地址列表
-        const isHexdump = /^(?:0x)?[0-9a-fA-F]{6,}(?::|[ \t]{2,})[0-9a-fA-F]{2}/m.test(trimmed);
-        console.log('parseAuto - isHexdump:', isHexdump);
-        if (isHexdump) {
-            console.log('parseAuto - using parseHexdump');
-            return this.parseHexdump(text);
-        }
+        this.elements.hunkHead.querySelectorAll('th[data-sort]').forEach(th => {
+            th.classList.toggle('asc', th.dataset.sort === key && dir > 0);
+            th.classList.toggle('desc', th.dataset.sort === key && dir < 0);
+        });
         
-        // 检测 C 数组格式
-        const isCArray = /[{}\[\]]/.test(trimmed) || /0x[0-9a-fA-F]+\s*,/.test(trimmed);
-        console.log('parseAuto - isCArray:', isCArray);
-        if (isCArray) {
-            console.log('parseAuto - using parseCArray');
-            return this.parseCArray(text);
+        const limit = HexDiffViewer.HUNK_LIST_LIMIT;
+        const rows = order.slice(0, limit).map(index => {
+            const hunk = this.hunks[index];
+            const panel = HexDiffCore.regionSpan(this.segments, 'A', hunk) ? 'A' : 'B';
+            const span = HexDiffCore.regionSpan(this.segments, panel, hunk);
+            const offset = (this.baseOffset(panel) + span.start).toString(16).toUpperCase().padStart(8, '0');
+            const active = index === this.currentHunk ? ' active' : '';
+            return `<tr class="hunk-row${active}" data-index="${index}">
+                <td>${panel} 0x${offset}</td>
+                <td>${hunk.vLen.toLocaleString()}</td>
+                <td>${hunk.bits > 0 ? hunk.bits.toLocaleString() : '—'}</td>
+                <td class="hunk-type diff-${hunk.type}">${HexDiffViewer.HUNK_TYPE_LABELS[hunk.type]}</td>
+                <td class="hunk-preview">${this.hunkPreview(hunk)}</td>
+            </tr>`;
+        });
+        if (order.length > limit) {
+            rows.push(`<tr><td colspan="5" class="hunk-more">… 另有 ${(order.length - limit).toLocaleString()} 处未列出</td></tr>`);
         }
-        
-        // 默认尝试纯十六进制
-        console.log('parseAuto - using parseHex');
-        return this.parseHex(text);
+        this.elements.hunkBody.innerHTML = rows.join('');
     }
     
-    parseHex(text) {
-        // 移除常见前缀和分隔符
-        const cleaned = text
-            .replace(/\\x/gi, '')
-            .replace(/0x/gi, '')
-            .replace(/[,\s\n\r\t;:\[\]{}()'"]+/g, '')
-            .toUpperCase();
-        
-        console.log('parseHex - Original text:', text.substring(0, 100));
-        console.log('parseHex - Cleaned:', cleaned.substring(0, 100));
-        console.log('parseHex - Cleaned length:', cleaned.length);
-        
-        if (cleaned.length === 0) return new Uint8Array(0);
-        if (cleaned.length % 2 !== 0) {
-            throw new Error('十六进制字符数必须为偶数');
-        }
-        if (!/^[0-9A-F]+$/.test(cleaned)) {
-            throw new Error('包含无效的十六进制字符');
-        }
-        
-        const bytes = new Uint8Array(cleaned.length / 2);
-        for (let i = 0; i < cleaned.length; i += 2) {
-            bytes[i / 2] = parseInt(cleaned.substring(i, i + 2), 16);
+    /**
+     * 差异块开头几个字节 "A 的字节 → B 的字节"，该侧为空隙时显示 —
+     */
+    hunkPreview(hunk) {
+        const side = (panel) => {
+            const span = HexDiffCore.regionSpan(this.segments, panel, hunk);
+            if (!span) return '—';
+            const data = this.panelData(panel);
+            const end = Math.min(span.end, span.start + HexDiffViewer.HUNK_PREVIEW_BYTES);
+            const bytes = Array.from(data.subarray(span.start, end), b => b.toString(16).toUpperCase().padStart(2, '0'));
+            return bytes.join(' ') + (span.end > end ? ' …' : '');
+        };
+        return `${side('A')} → ${side('B')}`;
+    }
+    
+    updateHunkInfo() {
+        if (this.hunks.length === 0) {
+            this.elements.hunkInfo.textContent = '';
+        } else if (this.currentHunk < 0) {
+            this.elements.hunkInfo.textContent = `差异块: ${this.hunks.length.toLocaleString()}`;
+        } else {
+            this.elements.hunkInfo.textContent = `差异块 ${(this.currentHunk + 1).toLocaleString()} / ${this.hunks.length.toLocaleString()}`;
         }
+    }
+    
+    navigateHunk(dir) {
+        if (this.hunks.length === 0) return;
         
-        console.log('parseHex - First 20 bytes:', Array.from(bytes.slice(0, 20)).map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' '));
+        let index = this.currentHunk + dir;
+        if (this.currentHunk < 0 && dir < 0) index = this.hunks.length - 1;
+        if (index < 0) index = this.hunks.length - 1;
+        if (index >= this.hunks.length) index = 0;
         
-        return bytes;
+        this.goToHunk(index);
     }
     
-    parseHexdump(text) {
-        // 解析多种 hexdump 格式:
-        // 1. xxd: 00000000: 4865 6c6c 6f20 576f 726c 6421 0a   Hello World!.
-        // 2. WinDbg/调试器: 768fb64000  02 1f 3f 14 71 c6 18 40  ..?.q..@
-        // 3. 简单格式: 00000000  48 65 6c 6c 6f
-        console.log('parseHexdump - input (first 200 chars):', text.substring(0, 200));
+    /**
+     * 两侧滚动到差异块并选中它: 优先选中 A 中的字节，A 侧全是空隙时选中 B 中的字节
+     */
+    goToHunk(index) {
+        const hunk = this.hunks[index];
+        if (!hunk) return;
+        this.currentHunk = index;
+        
+        const row = Math.floor(hunk.vStart / this.bytesPerRow);
+        this.scrollToRow(row, 80 / this.rowHeight);
+        
+        for (const panel of ['A', 'B']) {
+            const span = HexDiffCore.regionSpan(this.segments, panel, hunk);
+            if (span) {
+                this.selection = { active: false, panel, start: span.start, end: span.end - 1 };
+                break;
+            }
+        }
+        this.updateSelectionDisplay();
+        this.updateHunkInfo();
         
-        const lines = text.split('\n');
-        const allBytes = [];
+        this.elements.hunkBody.querySelectorAll('.hunk-row').forEach(tr => {
+            const active = parseInt(tr.dataset.index) === index;
+            tr.classList.toggle('active', active);
+            if (active && tr.scrollIntoView) tr.scrollIntoView({ block: 'nearest' });
+        });
+    }
+    
+    bindEditEvents() {
+        document.querySelectorAll('.save-binary').forEach(btn => {
+            btn.addEventListener('click', () => this.saveBinary(btn.dataset.panel));
+        });
         
-        for (const line of lines) {
-            if (!line.trim()) continue;
-            
-            let hexPart = line;
-            console.log('parseHexdump - processing line:', line);
+        document.addEventListener('keydown', (e) => {
+            // 输入框内保留浏览器自身的编辑和撤销
+            if (e.target.closest && e.target.closest('input, textarea, select')) return;
             
-            // 移除偏移地址 - 支持多种格式:
-            // "00000000:" "768fb64000  " "0x00000000 "
-            hexPart = hexPart.replace(/^(?:0x)?[0-9a-fA-F]+[:\s]+/, '');
-            console.log('parseHexdump - after removing address:', hexPart);
+            if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.undo();
+                } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                    e.preventDefault();
+                    this.redo();
+                }
+                return;
+            }
+            if (!this.cursor.panel || e.altKey) return;
             
-            // 移除末尾的 ASCII 部分
-            // ASCII 部分通常在两个或更多空格后，且包含可打印字符或点号
-            // 匹配: "  ..?.q..@" 或 "  Hello World"
-            hexPart = hexPart.replace(/\s{2,}[\x20-\x7E]+$/, '');
-            console.log('parseHexdump - after removing ASCII:', hexPart);
+            if (/^[0-9a-fA-F]$/.test(e.key)) {
+                e.preventDefault();
+                this.typeNibble(parseInt(e.key, 16));
+                return;
+            }
             
-            // 提取所有两位十六进制数 (支持空格分隔)
-            const hexMatches = hexPart.match(/[0-9a-fA-F]{2}/g);
-            console.log('parseHexdump - hex matches:', hexMatches);
+            const moves = {
+                ArrowLeft: -1,
+                ArrowRight: 1,
+                ArrowUp: -this.bytesPerRow,
+                ArrowDown: this.bytesPerRow
+            };
+            if (moves[e.key]) {
+                e.preventDefault();
+                this.moveCursor(this.cursor.offset + moves[e.key]);
+                return;
+            }
             
-            if (hexMatches) {
-                for (const hex of hexMatches) {
-                    allBytes.push(parseInt(hex, 16));
-                }
+            switch (e.key) {
+                case 'Insert':
+                    e.preventDefault();
+                    this.insertMode = !this.insertMode;
+                    this.cursor.nibble = 0;
+                    this.updateEditInfo();
+                    this.render();
+                    break;
+                case 'Delete':
+                case 'Backspace':
+                    e.preventDefault();
+                    this.deleteAtCursor(e.key === 'Backspace');
+                    break;
+                case 'Escape':
+                    this.cursor = { panel: null, offset: -1, nibble: 0 };
+                    this.updateEditInfo();
+                    this.render();
+                    break;
             }
-        }
-        
-        console.log('parseHexdump - total bytes:', allBytes.length);
-        console.log('parseHexdump - first 20 bytes:', allBytes.slice(0, 20).map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' '));
-        
-        return new Uint8Array(allBytes);
+        });
     }
     
-    parseCArray(text) {
-        // 解析 C 数组格式: {0xFF, 0x00, ...} 或 unsigned char arr[] = {0xFF, ...};
-        const matches = text.match(/(?:0x)?[0-9a-fA-F]{1,2}/g);
-        if (!matches) return new Uint8Array(0);
-        
-        const bytes = matches.map(m => parseInt(m.replace(/^0x/i, ''), 16));
-        return new Uint8Array(bytes);
+    panelData(panel) {
+        return panel === 'A' ? this.dataA : this.dataB;
     }
     
-    parseBase64(text) {
-        const cleaned = text.replace(/[\s\n\r]+/g, '');
-        try {
-            const binary = atob(cleaned);
-            const bytes = new Uint8Array(binary.length);
-            for (let i = 0; i < binary.length; i++) {
-                bytes[i] = binary.charCodeAt(i);
-            }
-            return bytes;
-        } catch (e) {
-            throw new Error('无效的 Base64 数据');
+    /**
+     * 在光标处输入一个十六进制位: 第一位写高半字节（插入模式下先插入新字节），第二位写低半字节并后移
+     */
+    typeNibble(value) {
+        const { panel, offset, nibble } = this.cursor;
+        const data = this.panelData(panel) || new Uint8Array(0);
+        
+        if (nibble === 0) {
+            const append = this.insertMode || offset >= data.length;
+            const byte = append ? value << 4 : (value << 4) | (data[offset] & 0x0F);
+            if (!this.editBytes(panel, offset, append ? 0 : 1, [byte])) return;
+            this.cursor.nibble = 1;
+        } else {
+            // 第二位与第一位合并为同一条撤销记录
+            const byte = (data[offset] & 0xF0) | value;
+            if (!this.editBytes(panel, offset, 1, [byte], true)) return;
+            this.cursor.offset = offset + 1;
+            this.cursor.nibble = 0;
         }
+        
+        this.ensureVisible(panel, this.cursor.offset);
+        this.updateEditInfo();
+        this.render();
     }
     
-    compare(showError = false) {
-        try {
-            this.dataA = this.parseInput(this.elements.inputA.value, 'A');
-        } catch (e) {
-            this.dataA = null;
-            if (showError) alert('数据 A 解析错误: ' + e.message);
-        }
+    /**
+     * 删除选区（与光标同一面板时）或光标处的字节，backward 时删除光标前一个字节
+     */
+    deleteAtCursor(backward) {
+        const panel = this.cursor.panel;
+        const data = this.panelData(panel);
+        if (!data) return;
         
-        try {
-            this.dataB = this.parseInput(this.elements.inputB.value, 'B');
-        } catch (e) {
-            this.dataB = null;
-            if (showError) alert('数据 B 解析错误: ' + e.message);
+        let start = this.cursor.offset;
+        let count = 1;
+        if (this.selection.start >= 0 && this.selection.panel === panel) {
+            start = Math.min(this.selection.start, this.selection.end);
+            count = Math.abs(this.selection.end - this.selection.start) + 1;
+        } else if (backward) {
+            start--;
         }
+        if (start < 0 || start >= data.length) return;
         
-        this.elements.sizeA.textContent = this.dataA ? this.formatSize(this.dataA.length) : '';
-        this.elements.sizeB.textContent = this.dataB ? this.formatSize(this.dataB.length) : '';
-        
-        this.computeDiff();
-        // 强制清除渲染缓存，确保重新渲染
-        this.scrollState = { A: { start: -1, end: -1 }, B: { start: -1, end: -1 } };
+        if (!this.editBytes(panel, start, Math.min(count, data.length - start), [])) return;
+        this.selection = { active: false, panel: null, start: -1, end: -1 };
+        this.elements.selectionInfo.textContent = '';
+        this.cursor = { panel, offset: start, nibble: 0 };
+        this.ensureVisible(panel, start);
+        this.updateEditInfo();
+        this.render();
+    }
+    
+    moveCursor(offset) {
+        const data = this.panelData(this.cursor.panel);
+        if (!data) return;
+        this.cursor.offset = Math.min(Math.max(offset, 0), data.length);
+        this.cursor.nibble = 0;
+        this.ensureVisible(this.cursor.panel, this.cursor.offset);
+        this.updateEditInfo();
+        this.render();
+    }
+    
+    /**
+     * 把偏移所在行滚动到可见范围内（已可见时不滚动）
+     */
+    ensureVisible(panel, offset) {
+        const row = Math.floor(this.virtualOffset(panel, offset) / this.bytesPerRow);
+        if (this.expandFoldAt(row)) this.render();
+        // 统一视图中差异行的 B 显示在 A 的下一行
+        let line = Math.floor(this.lineAtRow(row));
+        if (this.viewMode === 'unified' && panel === 'B' && this.lineItem(line).kind === 'pairs') line++;
+        const visibleLines = this.elements.viewportA.clientHeight / this.rowHeight;
+        if (line < this.topLine) {
+            this.scrollToLine(line);
+        } else if (line + 1 > this.topLine + visibleLines) {
+            this.scrollToLine(line + 1 - visibleLines);
+        }
+    }
+    
+    updateEditInfo() {
+        const { panel, offset } = this.cursor;
+        if (!panel) {
+            this.elements.editInfo.textContent = '';
+            return;
+        }
+        const address = (this.baseOffset(panel) + offset).toString(16).toUpperCase();
+        this.elements.editInfo.textContent = `${this.insertMode ? '插入' : '覆盖'} ${panel}:0x${address}`;
+    }
+    
+    /**
+     * 用 bytes 替换 panel 中 offset 起的 removeCount 个字节，并记录撤销
+     * merge 为 true 时并入上一条撤销记录（同一字节的第二个半字节）
+     */
+    editBytes(panel, offset, removeCount, bytes, merge = false) {
+        const source = this.sources[panel];
+        if (source && source.windowed) {
+            alert('大文件按窗口读取时不支持编辑');
+            return false;
+        }
+        
+        const data = this.panelData(panel) || new Uint8Array(0);
+        // 数据在上次编辑后被替换（重新输入、载入文件、交换等），旧的撤销记录作废
+        if (this.editBuffers[panel] && this.editBuffers[panel] !== data) this.resetUndo();
+        
+        const inserted = Uint8Array.from(bytes);
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (merge && last && last.panel === panel && last.offset === offset && last.inserted.length === 1) {
+            last.inserted = inserted;
+        } else {
+            this.undoStack.push({ panel, offset, removed: data.slice(offset, offset + removeCount), inserted });
+            if (this.undoStack.length > HexDiffViewer.UNDO_LIMIT) this.undoStack.shift();
+        }
+        this.redoStack = [];
+        
+        this.replaceBytes(panel, offset, removeCount, inserted);
+        return true;
+    }
+    
+    undo() {
+        const op = this.undoStack.pop();
+        if (!op) return;
+        if (this.editBuffers[op.panel] !== this.panelData(op.panel)) {
+            this.resetUndo();
+            return;
+        }
+        
+        this.replaceBytes(op.panel, op.offset, op.inserted.length, op.removed);
+        this.redoStack.push(op);
+        this.cursor = { panel: op.panel, offset: op.offset, nibble: 0 };
+        this.ensureVisible(op.panel, op.offset);
+        this.updateEditInfo();
+        this.render();
+    }
+    
+    redo() {
+        const op = this.redoStack.pop();
+        if (!op) return;
+        if (this.editBuffers[op.panel] !== this.panelData(op.panel)) {
+            this.resetUndo();
+            return;
+        }
+        
+        this.replaceBytes(op.panel, op.offset, op.removed.length, op.inserted);
+        this.undoStack.push(op);
+        this.cursor = { panel: op.panel, offset: op.offset + op.inserted.length, nibble: 0 };
+        this.ensureVisible(op.panel, this.cursor.offset);
+        this.updateEditInfo();
+        this.render();
+    }
+    
+    resetUndo() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.editBuffers = { A: null, B: null };
+    }
+    
+    /**
+     * 写入字节并只重新对齐受影响的区域；编辑后的面板改为以字节作为数据源
+     */
+    replaceBytes(panel, offset, removeCount, inserted) {
+        let data = this.panelData(panel) || new Uint8Array(0);
+        if (removeCount === inserted.length) {
+            data.set(inserted, offset);
+        } else {
+            const next = new Uint8Array(data.length - removeCount + inserted.length);
+            next.set(data.subarray(0, offset));
+            next.set(inserted, offset);
+            next.set(data.subarray(offset + removeCount), offset + inserted.length);
+            data = next;
+        }
+        
+        const source = this.sources[panel];
+        if (source) {
+            source.bytes = data;
+            source.size = data.length;
+            this.updateFileInfo(panel);
+            this.updateByteCount(panel);
+        } else {
+            this.setBinarySource(panel, `数据 ${panel}（已编辑）`, data);
+        }
+        // 编辑的是变换后的数据，编辑结果直接作为新的数据，不再重复变换；
+        // 保存的流水线保留，面板载入新数据后重新生效
+        this.sources[panel].edited = true;
+        this.updateTransformChain(panel);
+        if (panel === 'A') this.dataA = data;
+        else this.dataB = data;
+        this.editBuffers[panel] = data;
+        this.elements[`size${panel}`].textContent = this.formatSize(data.length);
+        
+        // 三方对比按基准逐字节分类，直接重新对比
+        if (this.threeWay) {
+            this.compare();
+            return;
+        }
+        
+        const editEnd = this.virtualOffset(panel, offset + removeCount);
+        const result = HexDiffCore.rediffEdit(
+            this.segments,
+            this.dataA || new Uint8Array(0),
+            this.dataB || new Uint8Array(0),
+            { panel, offset, removed: removeCount, inserted: inserted.length },
+            this.alignMode
+        );
+        this.segments = result.segments;
+        this.virtualLength = result.virtualLength;
+        this.gutterBuckets = null;
+        this.shiftExpandedFolds(editEnd, result.window.delta);
+        this.patchHunks(result.window);
+        this.elements.totalDiffs.textContent = `差异: ${result.diffCount.toLocaleString()} 字节`;
+        
+        // 偏移已变化，旧的搜索结果不再可靠
+        this.resetSearch();
+        
+        this.updateTemplateResults();
         this.render();
         this.updateDiffGutter();
+        this.updateInspector();
+    }
+    
+    saveBinary(panel) {
+        const data = this.panelData(panel);
+        if (!data || data.length === 0) {
+            alert(`数据 ${panel} 为空`);
+            return;
+        }
+        
+        const source = this.sources[panel];
+        if (source && source.windowed) {
+            alert('大文件按窗口读取时只能查看，不能保存');
+            return;
+        }
+        const filename = source && source.file ? source.name : `data-${panel}.bin`;
+        this.downloadBlob(new Blob([data], { type: 'application/octet-stream' }), filename);
+    }
+    
+    bindTransforms() {
+        document.querySelectorAll('.transform-btn, .transform-chain').forEach(el => {
+            el.addEventListener('click', () => this.openTransformEditor(el.dataset.panel));
+        });
+        this.elements.transformAdd.addEventListener('click', () => {
+            const transform = HexDiffCore.TRANSFORMS[0];
+            this.transformEditor.steps.push({ name: transform.name, param: transform.defaultParam || '' });
+            this.renderTransformSteps();
+        });
+        this.elements.transformConfirm.addEventListener('click', () => {
+            const { panel, steps } = this.transformEditor;
+            this.closeTransformEditor();
+            this.setTransforms(panel, steps);
+            this.compare();
+        });
+        this.elements.transformCancel.addEventListener('click', () => this.closeTransformEditor());
+        this.elements.transformModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.transformModal) this.closeTransformEditor();
+        });
+        
+        HexDiffViewer.INPUT_PANELS.forEach(panel => this.updateTransformChain(panel));
+    }
+    
+    openTransformEditor(panel) {
+        const label = panel === 'Base' ? '基准数据' : `数据 ${panel}`;
+        this.transformEditor = { panel, steps: this.transforms[panel].map(step => ({ ...step })) };
+        this.elements.transformTitle.textContent = `解码/变换流水线 — ${label}`;
+        this.renderTransformSteps();
+        this.elements.transformModal.classList.add('active');
+    }
+    
+    closeTransformEditor() {
+        this.elements.transformModal.classList.remove('active');
+        this.transformEditor = null;
+    }
+    
+    /**
+     * 编辑框中每个步骤一行: 变换、参数、上移/下移/删除
+     */
+    renderTransformSteps() {
+        const container = this.elements.transformSteps;
+        const steps = this.transformEditor.steps;
+        container.innerHTML = '';
+        
+        if (steps.length === 0) {
+            container.innerHTML = '<div class="transform-empty">没有步骤，数据解析后直接对比</div>';
+            return;
+        }
+        
+        steps.forEach((step, index) => {
+            const transform = HexDiffCore.TRANSFORMS.find(t => t.name === step.name) || HexDiffCore.TRANSFORMS[0];
+            const row = document.createElement('div');
+            row.className = 'transform-step';
+            
+            const number = document.createElement('span');
+            number.className = 'transform-index';
+            number.textContent = index + 1;
+            
+            const name = document.createElement('select');
+            HexDiffCore.TRANSFORMS.forEach(t => name.add(new Option(t.label, t.name, false, t.name === transform.name)));
+            name.addEventListener('change', () => {
+                const next = HexDiffCore.TRANSFORMS.find(t => t.name === name.value);
+                steps[index] = { name: next.name, param: next.defaultParam || '' };
+                this.renderTransformSteps();
+            });
+            row.append(number, name);
+            
+            if (transform.param) {
+                let param;
+                if (transform.options) {
+                    param = document.createElement('select');
+                    transform.options.forEach(option => param.add(new Option(option, option, false, option === step.param)));
+                } else {
+                    param = document.createElement('input');
+                    param.type = 'text';
+                    param.value = step.param;
+                }
+                param.title = transform.param;
+                param.placeholder = transform.param;
+                param.addEventListener(transform.options ? 'change' : 'input', () => {
+                    step.param = param.value;
+                });
+                row.appendChild(param);
+            }
+            
+            const actions = [['↑', '上移', -1], ['↓', '下移', 1], ['✕', '删除', 0]];
+            actions.forEach(([text, title, move]) => {
+                const button = document.createElement('button');
+                button.className = 'small-btn';
+                button.textContent = text;
+                button.title = title;
+                button.disabled = (move < 0 && index === 0) || (move > 0 && index === steps.length - 1);
+                button.addEventListener('click', () => {
+                    if (move === 0) steps.splice(index, 1);
+                    else steps.splice(index + move, 0, steps.splice(index, 1)[0]);
+                    this.renderTransformSteps();
+                });
+                row.appendChild(button);
+            });
+            
+            container.appendChild(row);
+        });
+    }
+    
+    setTransforms(panel, steps) {
+        this.transforms[panel] = steps;
+        this.updateTransformChain(panel);
+        this.writeSession({ transforms: this.transforms });
+    }
+    
+    /**
+     * 面板标题中显示流水线，如 "解压(gzip) → XOR(FF)"
+     */
+    updateTransformChain(panel) {
+        const chain = this.transforms[panel].map(step => {
+            const transform = HexDiffCore.TRANSFORMS.find(t => t.name === step.name);
+            if (!transform) return step.name;
+            return transform.param ? `${transform.label}(${step.param})` : transform.label;
+        }).join(' → ');
+        
+        const el = document.getElementById(`transformChain${panel}`);
+        const detached = !!chain && this.isEdited(panel);
+        el.textContent = chain;
+        el.title = chain ? `解码/变换流水线: ${chain}` : '';
+        if (detached) el.title += '\n数据已编辑，编辑结果即变换后的数据，流水线暂不应用；载入新数据后恢复';
+        el.classList.toggle('detached', detached);
+        document.querySelector(`.transform-btn[data-panel="${panel}"]`).classList.toggle('active', !!chain);
+    }
+    
+    isEdited(panel) {
+        return !!(this.sources[panel] && this.sources[panel].edited);
+    }
+    
+    /**
+     * 对比时实际应用的流水线: 面板数据编辑过时已是变换后的结果，不再应用
+     */
+    activeTransforms(panel) {
+        return this.isEdited(panel) ? [] : this.transforms[panel];
+    }
+    
+    /**
+     * 会话设置（如变换流水线）保存在 localStorage，刷新页面后恢复
+     */
+    readSession() {
+        try {
+            return JSON.parse(localStorage.getItem(HexDiffViewer.SESSION_STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+    
+    writeSession(values) {
+        try {
+            localStorage.setItem(HexDiffViewer.SESSION_STORAGE_KEY, JSON.stringify({ ...this.readSession(), ...values }));
+        } catch (e) {
+            console.error('保存会话失败:', e);
+        }
+    }
+    
+    bindHashPanel() {
+        this.hashResults = { A: null, B: null };
+        this.elements.hashCompute.addEventListener('click', () => this.computeHashes());
+        this.elements.hashBody.addEventListener('click', (e) => {
+            const btn = e.target.closest('.hash-find');
+            if (btn) this.findStoredChecksum(btn.dataset.panel, btn.dataset.algorithm);
+        });
+    }
+    
+    /**
+     * 在后台计算 A、B 全部数据或当前选区的校验值/摘要
+     */
+    async computeHashes() {
+        // 后台任务同时只有一个，新任务会终止旧任务；对比进行中时先等它完成，数据也以对比结果为准
+        while (this.activeJob && this.activeJob.job.kind !== 'hash') await this.comparing;
+        
+        const ranges = {};
+        if (this.elements.hashScope.value === 'selection') {
+            if (this.selection.start < 0 || !this.selection.panel) {
+                alert('请先选中字节');
+                return;
+            }
+            const panel = this.selection.panel;
+            const start = Math.min(this.selection.start, this.selection.end);
+            const end = Math.max(this.selection.start, this.selection.end) + 1;
+            ranges[panel] = { start, end };
+        } else {
+            ['A', 'B'].forEach(panel => {
+                const data = this.panelData(panel);
+                if (data && data.length > 0) ranges[panel] = { start: 0, end: data.length };
+            });
+        }
+        
+        // 只传所需范围的副本: 传视图时会复制整个底层缓冲区
+        const inputs = {};
+        const labels = [];
+        Object.keys(ranges).forEach(panel => {
+            const { start, end } = ranges[panel];
+            inputs[panel] = this.panelData(panel).slice(start, end);
+            const base = this.baseOffset(panel);
+            labels.push(`${panel}: 0x${(base + start).toString(16).toUpperCase()}-0x${(base + end - 1).toString(16).toUpperCase()}`);
+        });
+        
+        this.hashResults = { A: null, B: null };
+        this.renderHashes();
+        if (labels.length === 0) {
+            this.elements.hashRange.textContent = '没有数据';
+            return;
+        }
+        this.elements.hashRange.textContent = '计算中…';
+        
+        let results;
+        try {
+            results = await this.runJob({ id: ++this.jobId, kind: 'hash', inputs });
+        } catch (e) {
+            // 被新的对比取消时数据已变化，结果不再有意义
+            this.elements.hashRange.textContent = '';
+            if (!(e && e.cancelled)) alert('计算校验失败: ' + (e && e.message));
+            return;
+        }
+        
+        this.hashResults = { A: null, B: null, ...results };
+        this.elements.hashRange.textContent = labels.join('  ');
+        this.renderHashes();
+    }
+    
+    renderHashes() {
+        const { A, B } = this.hashResults;
+        const cell = (panel, name) => {
+            const result = this.hashResults[panel] && this.hashResults[panel][name];
+            if (!result) return '<td class="hash-value">—</td>';
+            const find = result.width > 0
+                ? ` <button class="hash-find" data-panel="${panel}" data-algorithm="${name}" title="在 A、B 中查找此值的存放位置（大端和小端）">定位</button>`
+                : '';
+            return `<td class="hash-value">${result.hex}${find}</td>`;
+        };
+        
+        this.elements.hashBody.innerHTML = HexDiffCore.HASH_ALGORITHMS.map(algorithm => {
+            const name = algorithm.name;
+            const changed = A && B && A[name].hex !== B[name].hex;
+            return `<tr class="${changed ? 'changed' : ''}"><th colspan="2">${name}</th></tr>` +
+                `<tr class="${changed ? 'changed' : ''}"><td class="hash-panel">A</td>${cell('A', name)}</tr>` +
+                `<tr class="${changed ? 'changed' : ''}"><td class="hash-panel">B</td>${cell('B', name)}</tr>`;
+        }).join('');
+    }
+    
+    /**
+     * 在两侧数据中查找校验值按大端、小端存放的位置，结果作为搜索匹配显示
+     */
+    findStoredChecksum(panel, name) {
+        const result = this.hashResults[panel] && this.hashResults[panel][name];
+        if (!result || result.width === 0) return;
+        
+        const patterns = [true, false].map(littleEndian => {
+            const bytes = HexDiffCore.valueBytes(result.value, result.width, littleEndian);
+            return { bytes, mask: new Uint8Array(bytes.length).fill(0xFF), ignoreCase: false };
+        });
+        // 单字节或回文值两种字节序相同，只查一次
+        if (patterns[0].bytes.every((b, i) => b === patterns[1].bytes[i])) patterns.pop();
+        
+        this.resetSearch();
+        const limit = HexDiffCore.SEARCH_MAX_MATCHES;
+        ['A', 'B'].forEach(p => {
+            const results = patterns.map(pattern => HexDiffCore.searchData(this.panelData(p), pattern, limit));
+            if (results.some(found => found.length >= limit)) this.searchTruncated = true;
+            const found = results.flat();
+            
+            // 两种字节序的匹配可能重叠（如 0x12341212 的 12 12 34 12 12），渲染查找要求匹配互不重叠，重叠的合并为一个
+            const matches = [];
+            for (const match of found.sort((x, y) => x.start - y.start)) {
+                const last = matches[matches.length - 1];
+                if (last && match.start < last.end) last.end = Math.max(last.end, match.end);
+                else matches.push({ panel: p, start: match.start, end: match.end });
+            }
+            this.panelMatches[p] = matches;
+        });
+        
+        this.elements.searchMode.value = 'hex';
+        this.elements.searchInput.value = result.hex.match(/../g).join(' ');
+        this.showSearchResults();
+        if (this.searchMatches.length === 0) alert(`未找到 ${name} 值 ${result.hex}`);
+    }
+    
+    bindTemplates() {
+        this.loadTemplateList();
+        
+        this.elements.templateSelect.addEventListener('change', () => {
+            const name = this.elements.templateSelect.value;
+            if (name) this.elements.templateText.value = this.readTemplates()[name] || '';
+        });
+        this.elements.templateSave.addEventListener('click', () => this.saveTemplate());
+        this.elements.templateDelete.addEventListener('click', () => this.deleteTemplate());
+        this.elements.templateApply.addEventListener('click', () => this.applyTemplate());
+        this.elements.templateClear.addEventListener('click', () => this.clearTemplate());
+        
+        // 点击字段跳转到该字段所在行
+        this.elements.templateTree.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-offset]');
+            if (!row) return;
+            this.scrollToOffset(row.dataset.panel, parseInt(row.dataset.offset));
+        });
+    }
+    
+    /**
+     * 已保存的模板 { 名称: 模板文本 }，存放在 localStorage
+     */
+    readTemplates() {
+        try {
+            return JSON.parse(localStorage.getItem(HexDiffViewer.TEMPLATE_STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+    
+    writeTemplates(templates) {
+        try {
+            localStorage.setItem(HexDiffViewer.TEMPLATE_STORAGE_KEY, JSON.stringify(templates));
+        } catch (e) {
+            alert('保存模板失败: ' + e.message);
+        }
     }
     
-    computeDiff() {
-        this.diffMap.clear();
+    loadTemplateList(selected = '') {
+        const names = Object.keys(this.readTemplates()).sort();
+        const options = ['<option value="">（未保存的模板）</option>']
+            .concat(names.map(name => {
+                const escaped = name.replace(/[&<>"']/g, c => this.escapeHtml(c));
+                return `<option value="${escaped}">${escaped}</option>`;
+            }));
+        this.elements.templateSelect.innerHTML = options.join('');
+        this.elements.templateSelect.value = selected;
+    }
+    
+    saveTemplate() {
+        const text = this.elements.templateText.value;
+        try {
+            HexDiffCore.parseTemplate(text);
+        } catch (e) {
+            alert('模板错误: ' + e.message);
+            return;
+        }
         
-        if (!this.dataA && !this.dataB) return;
+        const name = prompt('模板名称', this.elements.templateSelect.value);
+        if (!name || !name.trim()) return;
+        
+        const templates = this.readTemplates();
+        templates[name.trim()] = text;
+        this.writeTemplates(templates);
+        this.loadTemplateList(name.trim());
+    }
+    
+    deleteTemplate() {
+        const name = this.elements.templateSelect.value;
+        if (!name || !confirm(`删除模板 "${name}"？`)) return;
+        
+        const templates = this.readTemplates();
+        delete templates[name];
+        this.writeTemplates(templates);
+        this.loadTemplateList();
+    }
+    
+    applyTemplate() {
+        let template;
+        try {
+            template = HexDiffCore.parseTemplate(this.elements.templateText.value);
+        } catch (e) {
+            alert('模板错误: ' + e.message);
+            return;
+        }
         
-        const lenA = this.dataA ? this.dataA.length : 0;
-        const lenB = this.dataB ? this.dataB.length : 0;
-        const maxLen = Math.max(lenA, lenB);
+        const input = this.elements.templateOffset.value.trim() || '0';
+        const offset = parseInt(input.replace(/^0x/i, ''), 16);
+        if (isNaN(offset) || offset < 0) {
+            alert('无效的偏移');
+            return;
+        }
         
-        let diffCount = 0;
+        this.template = template;
+        this.templateOffset = offset;
+        this.updateTemplateResults();
+        this.render();
+        this.scrollToOffset(this.dataA ? 'A' : 'B', offset - this.baseOffset(this.dataA ? 'A' : 'B'));
+    }
+    
+    clearTemplate() {
+        this.template = null;
+        this.updateTemplateResults();
+        this.render();
+    }
+    
+    /**
+     * 按当前模板重新解读 A、B（数据变化后调用），并刷新字段树
+     */
+    updateTemplateResults() {
+        ['A', 'B'].forEach(panel => {
+            const data = panel === 'A' ? this.dataA : this.dataB;
+            const offset = this.templateOffset - this.baseOffset(panel);
+            if (!this.template || !data || offset < 0 || offset >= data.length) {
+                this.templateResults[panel] = null;
+                return;
+            }
+            
+            const result = HexDiffCore.applyTemplate(this.template, data, offset);
+            result.fields.forEach((field, i) => {
+                field.color = i % HexDiffViewer.TEMPLATE_COLORS;
+            });
+            this.templateResults[panel] = result;
+        });
+        this.renderTemplateTree();
+    }
+    
+    /**
+     * 字段树: A、B 的值并排显示，按字段路径配对，值不同的字段及其所在结构标为已修改
+     */
+    renderTemplateTree() {
+        const tree = this.elements.templateTree;
+        const { A, B } = this.templateResults;
+        if (!A && !B) {
+            tree.innerHTML = this.template
+                ? '<div class="tpl-empty">偏移超出数据范围</div>'
+                : '';
+            return;
+        }
         
-        for (let i = 0; i < maxLen; i++) {
-            const byteA = i < lenA ? this.dataA[i] : undefined;
-            const byteB = i < lenB ? this.dataB[i] : undefined;
+        const nodesB = new Map();
+        const collect = (node) => {
+            nodesB.set(node.path, node);
+            if (node.children) node.children.forEach(collect);
+        };
+        if (B) collect(B.root);
+        
+        const escape = (text) => text === null || text === undefined
+            ? '—'
+            : String(text).replace(/[&<>"']/g, c => this.escapeHtml(c));
+        const panel = A ? 'A' : 'B';
+        
+        // 返回 { html, changed }
+        const renderNode = (node) => {
+            const other = A ? nodesB.get(node.path) : null;
+            const valueA = A ? node.value : null;
+            const valueB = A ? (other ? other.value : null) : node.value;
+            
+            const label = `<span class="tpl-name">${escape(node.name)}</span><span class="tpl-type">${escape(node.type)}</span>`;
+            const jump = `data-panel="${panel}" data-offset="${node.offset}"`;
             
-            if (byteA === undefined && byteB !== undefined) {
-                this.diffMap.set(i, 'added');
-                diffCount++;
-            } else if (byteA !== undefined && byteB === undefined) {
-                this.diffMap.set(i, 'removed');
-                diffCount++;
-            } else if (byteA !== byteB) {
-                this.diffMap.set(i, 'modified');
-                diffCount++;
+            if (!node.children) {
+                const changed = A && B && valueA !== valueB;
+                return {
+                    changed,
+                    html: `<div class="tpl-row${changed ? ' changed' : ''}" ${jump}>${label}` +
+                        `<span class="tpl-value">${escape(valueA)}</span><span class="tpl-value">${escape(valueB)}</span></div>`
+                };
+            }
+            
+            const children = node.children.map(renderNode);
+            let changed = children.some(c => c.changed);
+            if (A && B && node.type !== (other ? other.type : null)) changed = true;
+            const more = node.truncated ? '<div class="tpl-row tpl-more">…</div>' : '';
+            return {
+                changed,
+                html: `<details open><summary class="tpl-row${changed ? ' changed' : ''}" ${jump}>${label}` +
+                    `<span class="tpl-value">${node === (A || B).root ? '' : escape(valueA)}</span>` +
+                    `<span class="tpl-value">${node === (A || B).root ? '' : escape(valueB)}</span></summary>` +
+                    `<div class="tpl-children">${children.map(c => c.html).join('')}${more}</div></details>`
+            };
+        };
+        
+        const header = '<div class="tpl-row tpl-header"><span class="tpl-name">字段</span><span class="tpl-type"></span>' +
+            '<span class="tpl-value">A</span><span class="tpl-value">B</span></div>';
+        tree.innerHTML = header + renderNode((A || B).root).html;
+    }
+    
+    /**
+     * 数据检查器: 解读两侧面板中与选区起点对应位置的字节，A、B 不同的字段显示为 "A → B"
+     */
+    updateInspector() {
+        if (!this.elements.sidePanel.classList.contains('active')) return;
+        
+        const body = this.elements.inspectorBody;
+        const start = Math.min(this.selection.start, this.selection.end);
+        if (start < 0 || !this.selection.panel) {
+            this.elements.inspectorOffset.textContent = '选中字节后显示解读';
+            body.innerHTML = '';
+            return;
+        }
+        
+        // 另一侧取对齐后的对应位置，对应位置为空隙时该侧无值
+        const panel = this.selection.panel;
+        const other = panel === 'A' ? 'B' : 'A';
+        const offsets = { [panel]: start };
+        offsets[other] = this.offsetAt(other, this.virtualOffset(panel, start));
+        
+        const littleEndian = this.elements.inspectorEndian.value === 'le';
+        const textLength = Math.abs(this.selection.end - this.selection.start) + 1;
+        const fields = {};
+        const labels = [];
+        ['A', 'B'].forEach(p => {
+            const data = p === 'A' ? this.dataA : this.dataB;
+            const offset = offsets[p];
+            if (data && offset >= 0 && offset < data.length) {
+                fields[p] = HexDiffCore.inspectBytes(data, offset, littleEndian, textLength);
+                labels.push(`${p}: 0x${(this.baseOffset(p) + offset).toString(16).toUpperCase()}`);
+            } else {
+                labels.push(`${p}: —`);
             }
+        });
+        // 选区所在位置两侧都没有数据（如选区超出了新数据的末尾）
+        if (!fields.A && !fields.B) {
+            this.elements.inspectorOffset.textContent = '选中字节后显示解读';
+            body.innerHTML = '';
+            return;
         }
+        this.elements.inspectorOffset.textContent = labels.join('  ');
+        
+        const escape = (text) => text === null ? '—' : text.replace(/[&<>"']/g, c => this.escapeHtml(c));
+        const rows = (fields.A || fields.B).map((field, i) => {
+            const a = fields.A ? fields.A[i].value : null;
+            const b = fields.B ? fields.B[i].value : null;
+            let cell;
+            if (fields.A && fields.B && a !== b) {
+                cell = `<td class="inspector-value changed">${escape(a)} → ${escape(b)}</td>`;
+            } else {
+                cell = `<td class="inspector-value">${escape(fields.A ? a : b)}</td>`;
+            }
+            return `<tr><th>${field.label}</th>${cell}</tr>`;
+        });
+        body.innerHTML = rows.join('');
+    }
+    
+    selectAllBytes() {
+        const panel = this.selection.panel || 'A';
+        const data = panel === 'A' ? this.dataA : this.dataB;
+        if (!data || data.length === 0) return;
+        
+        this.selection = {
+            active: false,
+            panel: panel,
+            start: 0,
+            end: data.length - 1
+        };
+        this.updateSelectionDisplay();
+    }
+    
+    showContextMenu(x, y) {
+        const menu = this.elements.contextMenu;
+        menu.classList.add('active');
+        
+        // 确保菜单不超出屏幕
+        const rect = menu.getBoundingClientRect();
+        const maxX = window.innerWidth - 170;
+        const maxY = window.innerHeight - 200;
         
-        this.elements.totalDiffs.textContent = `差异: ${diffCount.toLocaleString()} 字节`;
+        menu.style.left = Math.min(x, maxX) + 'px';
+        menu.style.top = Math.min(y, maxY) + 'px';
+    }
+    
+    updateCopyTextLabel() {
+        const select = this.elements.textEncoding;
+        this.elements.copyText.textContent = `复制文本 (${select.options[select.selectedIndex].text})`;
+    }
+    
+    hideContextMenu() {
+        this.elements.contextMenu.classList.remove('active');
+    }
+    
+    copySelection(format) {
+        if (this.selection.start < 0) return;
+        
+        const panel = this.selection.panel || 'A';
+        const data = panel === 'A' ? this.dataA : this.dataB;
+        if (!data) return;
+        
+        const start = Math.min(this.selection.start, this.selection.end);
+        const end = Math.max(this.selection.start, this.selection.end);
+        const bytes = data.slice(start, end + 1);
+        
+        let text = '';
+        
+        switch (format) {
+            case 'hex':
+                text = Array.from(bytes).map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+                break;
+            case 'hexNoSpace':
+                text = Array.from(bytes).map(b => b.toString(16).toUpperCase().padStart(2, '0')).join('');
+                break;
+            case 'text':
+                // 按文本列的编码解码，选区末尾截断的多字节字符也完整复制
+                text = HexDiffCore.decodeText(data, start, end + 1, this.textEncoding)
+                    .map(c => c === null ? '.' : c).join('');
+                break;
+            case 'carray':
+                text = '{ ' + Array.from(bytes).map(b => '0x' + b.toString(16).toUpperCase().padStart(2, '0')).join(', ') + ' }';
+                break;
+            case 'unified':
+                // 选区范围内的差异按统一差异格式输出，便于贴到工单里
+                text = HexDiffCore.createReport('unified', this.reportData('selection', this.reportRanges('selection')));
+                break;
+        }
+        
+        navigator.clipboard.writeText(text).then(() => {
+            // 可选：显示复制成功提示
+        }).catch(err => {
+            console.error('复制失败:', err);
+        });
+    }
+    
+    updateByteCount(panel) {
+        const input = this.elements[`input${panel}`];
+        const countEl = this.elements[`byteCount${panel}`];
+        
+        const source = this.sources[panel];
+        if (source) {
+            this.showDiagnostics(panel, null);
+            if (source.bytes) {
+                this.showByteCount(panel, source.bytes);
+                if (source.windowed) countEl.textContent += ` / ${source.size}`;
+            } else {
+                countEl.textContent = '读取中…';
+                countEl.style.color = '';
+            }
+            return;
+        }
+        
+        // 大段输入不在主线程解析，字节数等后台对比完成后再更新
+        if (input.value.length > HexDiffViewer.SYNC_PARSE_LIMIT) {
+            countEl.textContent = '解析中…';
+            countEl.style.color = '';
+            return;
+        }
+        
+        const info = {};
+        let bytes = null;
+        let error = null;
+        try {
+            bytes = HexDiffCore.parseInput(input.value, this.elements[`format${panel}`].value, info, this.parseOptions());
+        } catch (e) {
+            error = e.message;
+        }
+        const report = info.diagnostics ? info.diagnostics.summary() : null;
+        this.showByteCount(panel, bytes, info.ranges && bytes ? info : null, report);
+        this.showDiagnostics(panel, report, error);
+    }
+    
+    parseOptions() {
+        return {
+            endian: this.elements.arrayEndian.value,
+            lenient: this.elements.lenientParse.checked
+        };
+    }
+    
+    /**
+     * image 为带地址映像的信息时显示有效字节数和地址范围，report 为解析诊断 { list, total, skipped }
+     */
+    showByteCount(panel, bytes, image, report) {
+        const countEl = this.elements[`byteCount${panel}`];
+        countEl.title = '';
+        
+        if (bytes && image) {
+            const filled = image.ranges.reduce((sum, [start, end]) => sum + end - start, 0);
+            const first = image.ranges.length > 0 ? image.base + image.ranges[0][0] : image.base;
+            const last = image.ranges.length > 0 ? image.base + image.ranges[image.ranges.length - 1][1] - 1 : image.base;
+            countEl.textContent = `${filled} 字节 @0x${first.toString(16).toUpperCase()}`;
+            countEl.title = `地址 0x${first.toString(16).toUpperCase()}-0x${last.toString(16).toUpperCase()}, ${image.ranges.length} 段` +
+                (image.entry !== null && image.entry !== undefined ? `, 入口 0x${image.entry.toString(16).toUpperCase()}` : '');
+            countEl.style.color = '';
+        } else if (bytes) {
+            countEl.textContent = `${bytes.length} 字节`;
+            countEl.style.color = '';
+        } else {
+            countEl.textContent = '格式错误';
+            countEl.style.color = 'var(--accent-red)';
+        }
+        
+        if (bytes && report && report.total > 0) {
+            countEl.textContent += ` ⚠${report.total}`;
+            countEl.title = (countEl.title ? countEl.title + '\n' : '') + `${report.total} 条解析警告`;
+            countEl.style.color = 'var(--accent-orange)';
+        }
+    }
+    
+    /**
+     * 在输入框下方列出解析诊断，点击条目选中输入框中出错的文本。
+     * error 为没有位置信息的错误（如映像地址相距过远）
+     */
+    showDiagnostics(panel, report, error) {
+        const container = this.elements[`diagnostics${panel}`];
+        const items = report ? report.list.slice().sort((x, y) => x.index - y.index) : [];
+        if (error && !items.some(d => d.severity === 'error')) items.unshift({ severity: 'error', message: error });
+        
+        container.innerHTML = '';
+        container.classList.toggle('active', items.length > 0);
+        if (items.length === 0) return;
+        
+        if (report && report.skipped > 0) {
+            const summary = document.createElement('div');
+            summary.className = 'diagnostic-summary';
+            summary.textContent = `宽松解析: 跳过了 ${report.skipped} 处无效内容`;
+            container.appendChild(summary);
+        }
+        
+        items.forEach(d => {
+            const row = document.createElement('div');
+            row.className = `diagnostic ${d.severity}`;
+            const pos = document.createElement('span');
+            pos.className = 'diagnostic-pos';
+            pos.textContent = d.line ? `${d.line}:${d.column}` : '—';
+            const message = document.createElement('span');
+            message.textContent = d.message;
+            row.append(d.severity === 'error' ? '✖ ' : '⚠ ', pos, message);
+            if (d.token && !d.message.includes(d.token)) {
+                const token = document.createElement('code');
+                token.textContent = d.token;
+                row.appendChild(token);
+            }
+            if (d.index !== undefined) {
+                row.title = '点击选中出错的文本';
+                row.addEventListener('click', () => this.selectInputRange(panel, d));
+            }
+            container.appendChild(row);
+        });
+        
+        if (report && report.total > report.list.length) {
+            const more = document.createElement('div');
+            more.className = 'diagnostic-summary';
+            more.textContent = `… 另有 ${report.total - report.list.length} 条未列出`;
+            container.appendChild(more);
+        }
+    }
+    
+    /**
+     * 选中输入框中诊断指向的文本并滚动到该行
+     */
+    selectInputRange(panel, diagnostic) {
+        const input = this.elements[`input${panel}`];
+        input.focus();
+        input.setSelectionRange(diagnostic.index, diagnostic.index + Math.max(diagnostic.length, 1));
+        const lineHeight = parseFloat(getComputedStyle(input).lineHeight) || 20;
+        input.scrollTop = Math.max(0, (diagnostic.line - 1) * lineHeight - input.clientHeight / 2);
+    }
+    
+    compare(showError = false) {
+        const job = {
+            id: ++this.jobId,
+            inputs: {
+                A: this.getJobInput('A'),
+                B: this.getJobInput('B')
+            },
+            threeWay: this.threeWay,
+            alignMode: this.alignMode,
+            gutterHeight: this.elements.diffCanvas.parentElement.clientHeight
+        };
+        if (this.threeWay) job.inputs.Base = this.getJobInput('Base');
+        
+        this.comparing = this.runJob(job).then(result => {
+            this.applyCompareResult(result);
+        }).catch(err => {
+            if (err && err.cancelled) return;
+            console.error('对比失败:', err);
+            if (showError) alert('对比失败: ' + (err && err.message));
+        });
+        return this.comparing;
+    }
+    
+    /**
+     * 文件数据源直接传字节，其余按输入框文本和格式解析；两者都带上该面板的变换流水线
+     */
+    getJobInput(panel) {
+        const source = this.sources[panel];
+        const transforms = this.activeTransforms(panel);
+        if (source) {
+            return { bytes: source.bytes || new Uint8Array(0), transforms };
+        }
+        return {
+            text: this.elements[`input${panel}`].value,
+            format: this.elements[`format${panel}`].value,
+            transforms,
+            ...this.parseOptions()
+        };
+    }
+    
+    applyCompareResult(result) {
+        // 未经变换的文件数据源字节不经 Worker 回传，直接使用主线程上的原始数据
+        const rawSource = (panel) => this.sources[panel] && this.activeTransforms(panel).length === 0;
+        this.dataA = rawSource('A') ? this.sources.A.bytes : result.A;
+        this.dataB = rawSource('B') ? this.sources.B.bytes : result.B;
+        this.dataBase = null;
+        if (this.threeWay) {
+            this.dataBase = rawSource('Base') ? this.sources.Base.bytes : result.Base;
+        }
+        
+        this.images = { A: null, B: null, Base: null, ...result.images };
+        
+        const inputPanels = this.threeWay ? HexDiffViewer.INPUT_PANELS : ['A', 'B'];
+        inputPanels.forEach(panel => {
+            if (rawSource(panel)) {
+                this.updateByteCount(panel);
+                return;
+            }
+            const report = result.diagnostics[panel];
+            this.showByteCount(panel, result[panel], this.images[panel], report);
+            this.showDiagnostics(panel, report, result.errors[panel]);
+        });
+        
+        ['A', 'B'].forEach(panel => {
+            const data = panel === 'A' ? this.dataA : this.dataB;
+            const source = this.sources[panel];
+            let size = data ? this.formatSize(data.length) : '';
+            if (source && source.windowed) size += ` / ${this.formatSize(source.size)}`;
+            this.elements[`size${panel}`].textContent = size;
+        });
+        
+        this.segments = result.segments;
+        this.virtualLength = result.virtualLength;
+        this.gutterBuckets = result.gutter;
+        this.expandedFolds.clear();
+        this.updateHunks(result.regions);
+        
+        let stats = `差异: ${result.diffCount.toLocaleString()} 字节`;
+        if (result.conflictCount !== undefined) stats += ` (冲突 ${result.conflictCount.toLocaleString()})`;
+        this.elements.totalDiffs.textContent = stats;
+        this.clampSelection();
+        
+        // 强制清除渲染缓存，确保重新渲染
+        this.scrollState = { A: { start: -1, end: -1 }, B: { start: -1, end: -1 } };
+        this.updateTemplateResults();
+        this.render();
+        this.updateDiffGutter();
+        this.updateInspector();
+    }
+    
+    /**
+     * 虚拟位置是否为差异字节（查差异位图），差异类型即所在段的类型
+     */
+    isDiff(v) {
+        return (this.diffBits[v >>> 3] & (1 << (v & 7))) !== 0;
+    }
+    
+    /**
+     * 提交后台任务；新任务会终止仍在运行的旧任务
+     * Worker 不可用时（如通过 file:// 打开页面）退回主线程执行
+     */
+    runJob(job) {
+        this.cancelJob();
+        
+        return new Promise((resolve, reject) => {
+            this.activeJob = { job, resolve, reject };
+            this.progressTimer = setTimeout(() => this.showProgress({ phase: '准备', percent: 0 }), HexDiffViewer.PROGRESS_DELAY);
+            
+            const worker = this.getWorker();
+            if (worker) {
+                worker.postMessage(job);
+            } else {
+                this.runJobInline(job);
+            }
+        });
+    }
+    
+    runJobInline(job) {
+        setTimeout(() => {
+            if (!this.activeJob || this.activeJob.job !== job) return;
+            const task = job.kind === 'hash' ? HexDiffCore.runHashes(job) : HexDiffCore.runCompare(job);
+            task.then(result => {
+                if (this.activeJob && this.activeJob.job === job) this.finishJob(result);
+            }, err => {
+                if (this.activeJob && this.activeJob.job === job) this.failJob(err);
+            });
+        }, 0);
+    }
+    
+    getWorker() {
+        if (this.worker) return this.worker;
+        if (this.workerUnavailable || typeof Worker === 'undefined') return null;
+        
+        try {
+            this.worker = new Worker('hexdiff-worker.js');
+        } catch (e) {
+            this.workerUnavailable = true;
+            return null;
+        }
+        
+        this.worker.addEventListener('message', (e) => {
+            const msg = e.data;
+            if (!this.activeJob || msg.id !== this.activeJob.job.id) return;
+            
+            if (msg.type === 'progress') {
+                this.showProgress(msg);
+            } else if (msg.type === 'result') {
+                this.finishJob(msg.result);
+            } else if (msg.type === 'error') {
+                this.failJob(new Error(msg.message));
+            }
+        });
+        
+        // 脚本加载失败等情况: 放弃 Worker，当前任务改在主线程执行
+        this.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            this.worker.terminate();
+            this.worker = null;
+            this.workerUnavailable = true;
+            if (this.activeJob) this.runJobInline(this.activeJob.job);
+        });
+        
+        return this.worker;
+    }
+    
+    finishJob(result) {
+        const active = this.activeJob;
+        this.activeJob = null;
+        this.hideProgress();
+        active.resolve(result);
+    }
+    
+    failJob(err) {
+        const active = this.activeJob;
+        this.activeJob = null;
+        this.hideProgress();
+        active.reject(err);
+    }
+    
+    /**
+     * 取消正在运行的任务: Worker 忙于计算时无法响应消息，只能直接终止
+     */
+    cancelJob() {
+        if (!this.activeJob) return;
+        
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        
+        const active = this.activeJob;
+        this.activeJob = null;
+        this.hideProgress();
+        active.reject({ cancelled: true });
+    }
+    
+    showProgress(progress) {
+        this.elements.compareProgress.classList.add('active');
+        this.elements.progressFill.style.width = `${progress.percent}%`;
+        this.elements.progressText.textContent = `${progress.phase} ${progress.percent}%`;
+    }
+    
+    hideProgress() {
+        clearTimeout(this.progressTimer);
+        this.elements.compareProgress.classList.remove('active');
+    }
+    
+    /**
+     * 二分查找包含虚拟位置 v 的段序号
+     */
+    findSegment(v) {
+        return HexDiffCore.segmentAt(this.segments, v);
+    }
+    
+    /**
+     * 虚拟位置对应的面板实际偏移，该面板此处为空隙时返回 -1
+     */
+    offsetAt(panel, v) {
+        return HexDiffCore.segmentOffset(this.segments, panel, v);
+    }
+    
+    /**
+     * 面板实际偏移对应的虚拟位置
+     */
+    virtualOffset(panel, offset) {
+        const segments = this.segments;
+        if (segments.length === 0) return offset;
+        
+        const startKey = panel === 'A' ? 'aStart' : 'bStart';
+        const lenKey = panel === 'A' ? 'aLen' : 'bLen';
+        
+        let lo = 0;
+        let hi = segments.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >>> 1;
+            if (segments[mid][startKey] <= offset) lo = mid;
+            else hi = mid - 1;
+        }
+        // 跳过该位置上的纯插入/删除段（对本面板长度为 0）
+        while (lo > 0 && segments[lo][lenKey] === 0) lo--;
+        
+        const seg = segments[lo];
+        const rel = Math.min(Math.max(offset - seg[startKey], 0), seg.vLen);
+        return Math.min(seg.vStart + rel, this.virtualLength);
     }
     
     clear() {
+        this.cancelJob();
+        HexDiffViewer.INPUT_PANELS.forEach(panel => {
+            if (this.sources[panel]) this.sources[panel].read = null;
+            this.sources[panel] = null;
+            document.getElementById(`fileOverlay${panel}`).classList.remove('active');
+            document.getElementById(`fileInput${panel}`).value = '';
+            this.updateTransformChain(panel);
+        });
+        this.fileWindowStart = 0;
+        this.images = { A: null, B: null, Base: null };
         this.elements.inputA.value = '';
         this.elements.inputB.value = '';
+        this.elements.inputBase.value = '';
         this.dataA = null;
         this.dataB = null;
-        this.diffMap.clear();
-        this.searchMatches = [];
-        this.currentMatchIndex = -1;
+        this.dataBase = null;
+        this.segments = [];
+        this.virtualLength = 0;
+        this.gutterBuckets = null;
+        this.expandedFolds.clear();
+        this.updateHunks();
+        this.resetSearch();
+        this.bookmarks = [];
+        this.writeSession({ bookmarks: this.bookmarks });
+        this.cursor = { panel: null, offset: -1, nibble: 0 };
+        this.resetUndo();
+        this.updateEditInfo();
         
         this.elements.byteCountA.textContent = '0 字节';
         this.elements.byteCountB.textContent = '0 字节';
+        this.elements.byteCountBase.textContent = '0 字节';
+        HexDiffViewer.INPUT_PANELS.forEach(panel => this.showDiagnostics(panel, null));
         this.elements.sizeA.textContent = '';
         this.elements.sizeB.textContent = '';
         this.elements.totalDiffs.textContent = '差异: 0 字节';
-        this.elements.matchInfo.textContent = '';
         
         this.render();
         this.updateDiffGutter();
@@ -762,6 +2412,23 @@ class HexDiffViewer {
         this.elements.formatA.value = this.elements.formatB.value;
         this.elements.formatB.value = tempFormat;
         
+        // 交换变换流水线
+        const tempTransforms = this.transforms.A;
+        this.setTransforms('A', this.transforms.B);
+        this.setTransforms('B', tempTransforms);
+        
+        // 交换文件数据源
+        const tempSource = this.sources.A;
+        this.sources.A = this.sources.B;
+        this.sources.B = tempSource;
+        ['A', 'B'].forEach(panel => {
+            const source = this.sources[panel];
+            document.getElementById(`fileOverlay${panel}`).classList.toggle('active', !!source);
+            document.getElementById(`fileName${panel}`).textContent = source ? source.name : '';
+            this.updateFileInfo(panel);
+            this.updateTransformChain(panel);
+        });
+        
         this.updateByteCount('A');
         this.updateByteCount('B');
         this.compare();
@@ -774,7 +2441,10 @@ class HexDiffViewer {
                '2E 0A 56 65 72 73 69 6F 6E 3A 20 31 2E 30 2E 30',
             B: '48 65 6C 6C 6F 20 57 6F 72 6C 64 21 0A 54 68 69\n' +
                '73 20 69 73 20 61 20 64 65 6D 6F 20 66 69 6C 65\n' +
-               '2E 0A 56 65 72 73 69 6F 6E 3A 20 32 2E 30 2E 30'
+               '2E 0A 56 65 72 73 69 6F 6E 3A 20 32 2E 30 2E 30',
+            Base: '48 65 6C 6C 6F 20 57 6F 72 6C 64 21 0A 54 68 69\n' +
+                  '73 20 69 73 20 61 20 74 65 6E 74 20 66 69 6C 65\n' +
+                  '2E 0A 56 65 72 73 69 6F 6E 3A 20 31 2E 31 2E 30'
         };
         
         this.elements[`input${panel}`].value = samples[panel];
@@ -785,14 +2455,28 @@ class HexDiffViewer {
         const source = this.elements[`viewport${panel}`];
         const target = this.elements[`viewport${panel === 'A' ? 'B' : 'A'}`];
         
+        this.syncTopLine(source);
         if (Math.abs(source.scrollTop - target.scrollTop) > 1) {
             target.scrollTop = source.scrollTop;
         }
         
-        const row = Math.floor(source.scrollTop / this.rowHeight);
-        const offset = row * this.bytesPerRow;
-        this.elements.currentOffset.textContent = `偏移: 0x${offset.toString(16).toUpperCase().padStart(8, '0')}`;
-        
+        this.updateCurrentOffset();
+        this.updateGutterViewport();
+        this.scheduleRender(panel);
+    }
+    
+    /**
+     * 按视口的滚动位置更新 topLine；压缩时滚动位置与 scrollAnchor 相差不超过 1 像素
+     * 则沿用 scrollToLine 设置的精确行号，拖动滚动条、键盘翻页等才按滚动位置换算
+     */
+    syncTopLine(viewport) {
+        if (!this.scrollScaled() || Math.abs(viewport.scrollTop - this.scrollAnchor) > 1) {
+            this.topLine = this.lineAtScroll(viewport.scrollTop);
+            this.scrollAnchor = viewport.scrollTop;
+        }
+    }
+    
+    scheduleRender(panel) {
         if (!this.pendingRender[panel]) {
             this.pendingRender[panel] = true;
             requestAnimationFrame(() => {
@@ -802,23 +2486,378 @@ class HexDiffViewer {
         }
     }
     
-    resetScroll() {
-        this.scrollState = { A: { start: 0, end: 0 }, B: { start: 0, end: 0 } };
-        this.elements.viewportA.scrollTop = 0;
-        this.elements.viewportB.scrollTop = 0;
+    updateCurrentOffset() {
+        const row = Math.floor(this.rowAtLine(this.topLine));
+        const offsetPanel = this.dataA ? 'A' : 'B';
+        const offset = this.baseOffset(offsetPanel) + Math.max(0, this.offsetAt(offsetPanel, row * this.bytesPerRow));
+        this.elements.currentOffset.textContent = `偏移: 0x${offset.toString(16).toUpperCase().padStart(8, '0')}`;
+    }
+    
+    resetScroll() {
+        this.scrollState = { A: { start: 0, end: 0 }, B: { start: 0, end: 0 } };
+        this.topLine = 0;
+        this.scrollAnchor = 0;
+        this.elements.viewportA.scrollTop = 0;
+        this.elements.viewportB.scrollTop = 0;
+    }
+    
+    totalRows() {
+        return Math.ceil(this.virtualLength / this.bytesPerRow);
+    }
+    
+    /**
+     * 显示行布局: 把虚拟行（每 bytesPerRow 个虚拟位置一行）映射为显示行。
+     * blocks 为按显示行排序的 { kind, row, count, line }，line 为块的第一个显示行:
+     *   rows  - 虚拟行 row 起的 count 行，各占一个显示行
+     *   pairs - 统一视图中有差异的行，每行依次显示 A（-）、B（+）两个显示行
+     *   fold  - 仅差异模式下折叠的 count 个相同行，只占一个显示行
+     * 有差异的行前后各保留 contextRows 行，少于 FOLD_MIN_ROWS 行的相同行不折叠
+     */
+    updateLayout() {
+        const totalRows = this.totalRows();
+        const unified = this.viewMode === 'unified';
+        const context = this.contextRows;
+        const blocks = [];
+        let line = 0;
+        
+        const push = (kind, row, count) => {
+            if (count <= 0) return;
+            const last = blocks[blocks.length - 1];
+            if (last && last.kind === kind && kind !== 'fold' && last.row + last.count === row) {
+                last.count += count;
+            } else {
+                blocks.push({ kind, row, count, line });
+            }
+            line += kind === 'fold' ? 1 : kind === 'pairs' ? count * 2 : count;
+        };
+        // 相同行 [from, to): 前面紧接差异行时保留上下文，折叠中间部分（已展开的除外）
+        const pushEqual = (from, to) => {
+            const foldStart = from > 0 ? Math.min(to, from + context) : from;
+            const foldEnd = to < totalRows ? Math.max(foldStart, to - context) : to;
+            if (!this.diffOnly || foldEnd - foldStart < HexDiffViewer.FOLD_MIN_ROWS || this.expandedFolds.has(foldStart)) {
+                push('rows', from, to - from);
+                return;
+            }
+            push('rows', from, foldStart - from);
+            push('fold', foldStart, foldEnd - foldStart);
+            push('rows', foldEnd, to - foldEnd);
+        };
+        
+        let row = 0;
+        for (const hunk of this.hunks) {
+            const start = Math.floor(hunk.vStart / this.bytesPerRow);
+            const end = Math.floor((hunk.vStart + hunk.vLen - 1) / this.bytesPerRow) + 1;
+            if (end <= row) continue;
+            pushEqual(row, Math.max(row, start));
+            push(unified ? 'pairs' : 'rows', Math.max(row, start), end - Math.max(row, start));
+            row = end;
+        }
+        pushEqual(row, totalRows);
+        
+        this.layout = { blocks, lines: line };
+    }
+    
+    lineCount() {
+        return this.layout.lines;
+    }
+    
+    /**
+     * 包含显示行（key 为 'line'）或虚拟行（key 为 'row'）value 的布局块
+     */
+    layoutBlock(key, value) {
+        const blocks = this.layout.blocks;
+        let lo = 0;
+        let hi = blocks.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >>> 1;
+            if (blocks[mid][key] <= value) lo = mid;
+            else hi = mid - 1;
+        }
+        return blocks[lo] || null;
+    }
+    
+    /**
+     * 显示行对应的内容 { kind, row, count, panel }: panel 为统一视图差异行显示的一侧
+     */
+    lineItem(line) {
+        const block = this.layoutBlock('line', line);
+        if (!block) return null;
+        
+        const rel = line - block.line;
+        if (block.kind === 'fold') return { kind: 'fold', row: block.row, count: block.count };
+        if (block.kind === 'pairs') return { kind: 'pairs', row: block.row + Math.floor(rel / 2), panel: rel % 2 ? 'B' : 'A' };
+        return { kind: 'rows', row: block.row + rel };
+    }
+    
+    /**
+     * 显示行与虚拟行互相换算，都可带小数: 统一视图的差异行各对应半个虚拟行，
+     * 折叠标记按比例对应它折叠的各行；整数虚拟行换算得到其所在显示行（差异行为 A 行）
+     */
+    rowAtLine(line) {
+        const block = this.layoutBlock('line', line);
+        if (!block) return 0;
+        const rel = line - block.line;
+        if (block.kind === 'fold') return block.row + Math.min(rel, 1) * block.count;
+        return block.row + Math.min(block.kind === 'pairs' ? rel / 2 : rel, block.count);
+    }
+    
+    lineAtRow(row) {
+        const block = this.layoutBlock('row', row);
+        if (!block) return 0;
+        const rel = Math.min(row - block.row, block.count);
+        if (block.kind === 'fold') return block.line + rel / block.count;
+        return block.line + (block.kind === 'pairs' ? rel * 2 : rel);
+    }
+    
+    /**
+     * 编辑后平移已展开的折叠块: 折叠块从前一差异块的结束行再隔 contextRows 行开始，
+     * 前一差异块在编辑位置 v 之后的按虚拟长度的变化 delta 重新计算起始行，其余不变
+     */
+    shiftExpandedFolds(v, delta) {
+        if (delta === 0 || this.expandedFolds.size === 0) return;
+        const ends = new Map();
+        for (const hunk of this.hunks) {
+            const end = hunk.vStart + hunk.vLen;
+            ends.set(Math.ceil(end / this.bytesPerRow), end);
+        }
+        
+        const shifted = new Set();
+        for (const row of this.expandedFolds) {
+            const end = ends.get(row - this.contextRows);
+            shifted.add(end === undefined || end < v ? row : Math.ceil((end + delta) / this.bytesPerRow) + this.contextRows);
+        }
+        this.expandedFolds = shifted;
+    }
+    
+    /**
+     * 展开虚拟行所在的折叠块，返回是否有变化
+     */
+    expandFoldAt(row) {
+        const item = this.lineItem(Math.floor(this.lineAtRow(row)));
+        if (!item || item.kind !== 'fold') return false;
+        this.expandedFolds.add(item.row);
+        this.updateLayout();
+        return true;
+    }
+    
+    initGridControls() {
+        const select = this.elements.bytesPerRow;
+        if (this.rowWidth !== 'fit') this.addRowWidthOption(this.rowWidth);
+        select.value = String(this.rowWidth);
+        this.elements.byteGroup.value = String(this.byteGroup);
+        this.elements.groupEndian.value = this.groupEndian;
+        this.elements.cellRadix.value = this.cellRadix;
+        
+        select.addEventListener('change', () => {
+            if (select.value !== 'custom') {
+                this.applyGridOptions({ rowWidth: select.value === 'fit' ? 'fit' : parseInt(select.value, 10) });
+                return;
+            }
+            const input = prompt(`每行字节数 (1-${HexDiffViewer.MAX_ROW_WIDTH})`, String(this.bytesPerRow));
+            const width = parseInt(input, 10);
+            if (width >= 1 && width <= HexDiffViewer.MAX_ROW_WIDTH) {
+                this.addRowWidthOption(width);
+                select.value = String(width);
+                this.applyGridOptions({ rowWidth: width });
+            } else {
+                select.value = String(this.rowWidth);
+            }
+        });
+        this.elements.byteGroup.addEventListener('change', (e) => {
+            this.applyGridOptions({ byteGroup: parseInt(e.target.value, 10) });
+        });
+        this.elements.groupEndian.addEventListener('change', (e) => this.applyGridOptions({ groupEndian: e.target.value }));
+        this.elements.cellRadix.addEventListener('change', (e) => this.applyGridOptions({ cellRadix: e.target.value }));
+        
+        this.applyGridOptions({});
+    }
+    
+    /**
+     * 行宽下拉框中没有的宽度（自定义或会话中保存的）按大小插入到预设宽度之间
+     */
+    addRowWidthOption(width) {
+        const select = this.elements.bytesPerRow;
+        const options = Array.from(select.options);
+        if (options.some(option => option.value === String(width))) return;
+        const next = options.find(option => !(parseInt(option.value, 10) < width));
+        select.insertBefore(new Option(String(width), String(width)), next || null);
+    }
+    
+    /**
+     * 修改字节格选项后重新计算实际行宽和字节格宽度并重新布局，保持首个可见的字节不变
+     */
+    applyGridOptions(options) {
+        const v = Math.floor(this.rowAtLine(this.topLine)) * this.bytesPerRow;
+        if (Object.keys(options).length > 0) {
+            Object.assign(this, options);
+            this.writeSession({
+                grid: { rowWidth: this.rowWidth, byteGroup: this.byteGroup, groupEndian: this.groupEndian, cellRadix: this.cellRadix }
+            });
+        }
+        
+        const chars = this.cellChars();
+        const width = this.byteGroup > 1 ? chars * HexDiffViewer.CHAR_WIDTH : Math.round(chars * HexDiffViewer.CHAR_WIDTH + 8);
+        ['A', 'B'].forEach(panel => {
+            this.elements[`content${panel}`].style.setProperty('--byte-width', `${width}px`);
+        });
+        
+        // 行宽取分组大小的整数倍，使每组都在同一行内
+        const rowWidth = this.rowWidth === 'fit' ? this.fitRowWidth(width) : this.rowWidth;
+        this.bytesPerRow = Math.max(this.byteGroup, rowWidth - rowWidth % this.byteGroup);
+        
+        this.expandedFolds.clear();
+        this.updateLayout();
+        this.render();
+        if (this.virtualLength > 0) this.scrollToRow(Math.floor(v / this.bytesPerRow));
+    }
+    
+    /**
+     * 字节格显示的字符数: 十六进制 2、二进制 8；八进制、十进制按字显示时为整个字的位数平均到各字节
+     */
+    cellChars() {
+        const bits = BigInt(8 * this.byteGroup);
+        const wordChars = {
+            oct: Math.ceil(8 * this.byteGroup / 3),
+            dec: (2n ** bits - 1n).toString().length,
+            int: (-(2n ** (bits - 1n))).toString().length
+        };
+        if (this.cellRadix === 'bin') return 8;
+        if (!wordChars[this.cellRadix]) return 2;
+        return wordChars[this.cellRadix] / this.byteGroup;
+    }
+    
+    /**
+     * 适应窗口时的行宽: 按字节格、文本列字符和分隔的宽度估算视口一行能放下的组数
+     */
+    fitRowWidth(byteWidth) {
+        const group = this.byteGroup;
+        const groupWidth = group * (byteWidth + HexDiffViewer.ASCII_CHAR_WIDTH) +
+            HexDiffViewer.CELL_GAP + (group > 1 ? HexDiffViewer.GROUP_PADDING * 2 : 0) +
+            HexDiffViewer.SEPARATOR_WIDTH * group / 8;
+        const available = this.elements.viewportA.clientWidth - HexDiffViewer.ROW_CHROME_WIDTH;
+        return Math.min(HexDiffViewer.MAX_ROW_WIDTH, Math.max(1, Math.floor(available / groupWidth)) * group);
+    }
+    
+    writeViewSession() {
+        this.writeSession({
+            view: { mode: this.viewMode, diffOnly: this.diffOnly, contextRows: this.contextRows, bitHeat: this.bitHeat }
+        });
+    }
+    
+    /**
+     * 切换并排/统一视图、仅差异模式或上下文行数后重新布局，保持首个可见的虚拟行不变
+     */
+    setViewOptions(options) {
+        const row = this.rowAtLine(this.topLine);
+        Object.assign(this, options);
+        this.expandedFolds.clear();
+        this.writeViewSession();
+        
+        this.elements.diffView.classList.toggle('unified', this.viewMode === 'unified');
+        this.elements.contextRows.disabled = !this.diffOnly;
+        this.updateLayout();
+        this.render();
+        this.scrollToLine(this.lineAtRow(row));
+    }
+    
+    /**
+     * 首个可见行的最大值，此时最后一行贴住视口底部
+     */
+    maxTopLine() {
+        return Math.max(0, this.lineCount() - this.elements.viewportA.clientHeight / this.rowHeight);
+    }
+    
+    /**
+     * 滚动区域高度: 全部显示行的高度超出浏览器元素高度上限时压缩为 MAX_SCROLL_HEIGHT，
+     * 此时滚动位置与行号按比例换算（见 lineAtScroll、scrollTopForLine）
+     */
+    scrollHeight() {
+        return Math.min(this.lineCount() * this.rowHeight, HexDiffViewer.MAX_SCROLL_HEIGHT);
+    }
+    
+    scrollScaled() {
+        return this.lineCount() * this.rowHeight > HexDiffViewer.MAX_SCROLL_HEIGHT;
+    }
+    
+    /**
+     * 滚动位置对应的首个可见行（可带小数）；压缩时把可滚动范围线性映射到 [0, maxTopLine]
+     */
+    lineAtScroll(scrollTop) {
+        if (!this.scrollScaled()) return scrollTop / this.rowHeight;
+        const range = this.scrollHeight() - this.elements.viewportA.clientHeight;
+        return range > 0 ? Math.min(scrollTop / range, 1) * this.maxTopLine() : 0;
+    }
+    
+    scrollTopForLine(line) {
+        if (!this.scrollScaled()) return line * this.rowHeight;
+        const maxLine = this.maxTopLine();
+        const range = this.scrollHeight() - this.elements.viewportA.clientHeight;
+        return maxLine > 0 ? line / maxLine * range : 0;
+    }
+    
+    /**
+     * 滚动到虚拟行 row，其上方留出 margin 行；row 被折叠时先展开
+     */
+    scrollToRow(row, margin = 0) {
+        if (this.expandFoldAt(row)) this.render();
+        this.scrollToLine(this.lineAtRow(row) - margin);
+    }
+    
+    /**
+     * 两侧滚动到首个可见行为 line 的位置；压缩时滚动条的一个像素跨越多行，
+     * 所以记下精确的行号，滚动位置不变（见 syncTopLine）时按它渲染
+     */
+    scrollToLine(line) {
+        this.topLine = Math.min(Math.max(line, 0), this.maxTopLine());
+        const scrollTop = this.scrollTopForLine(this.topLine);
+        ['A', 'B'].forEach(panel => {
+            // 先撑开滚动区域，避免新数据首次渲染前滚动位置被旧高度截断
+            if (this.rowCache[panel].size > 0) {
+                this.elements[`content${panel}`].style.height = `${this.scrollHeight()}px`;
+            }
+            this.elements[`viewport${panel}`].scrollTop = scrollTop;
+        });
+        this.scrollAnchor = this.elements.viewportA.scrollTop;
+        
+        this.updateCurrentOffset();
+        this.updateGutterViewport();
+        this.scheduleRender('A');
+        this.scheduleRender('B');
     }
     
     render() {
+        // 选择、光标或数据变化后重新填充可见行，不沿用滚动时的行缓存
+        this.scrollState = { A: { start: -1, end: -1 }, B: { start: -1, end: -1 } };
+        this.syncTopLine(this.elements.viewportA);
+        this.topLine = Math.min(this.topLine, this.maxTopLine());
         this.renderPanel('A');
         this.renderPanel('B');
     }
     
+    /**
+     * 渲染可见行及上下各 overscan 行。行元素按显示行号缓存: 滚动时只填充新进入窗口的行，
+     * 移出窗口的元素拿来复用；各行按 topLine 相对视口顶部定位，未压缩时即位于 行号 * rowHeight。
+     * 统一视图中 A、B 的行都显示在 A 面板里
+     */
     renderPanel(panel) {
+        const unified = this.viewMode === 'unified';
         const data = panel === 'A' ? this.dataA : this.dataB;
         const content = this.elements[`content${panel}`];
         const viewport = this.elements[`viewport${panel}`];
+        const cache = this.rowCache[panel];
         
-        if (!data || data.length === 0) {
+        if (unified && panel === 'B') {
+            cache.clear();
+            content.style.height = '';
+            content.innerHTML = '';
+            return;
+        }
+        const empty = unified
+            ? !(this.dataA && this.dataA.length) && !(this.dataB && this.dataB.length)
+            : !data || data.length === 0;
+        if (empty) {
+            cache.clear();
+            content.style.height = '';
             content.innerHTML = `
                 <div class="empty-state">
                     <div class="empty-state-icon">📊</div>
@@ -827,88 +2866,291 @@ class HexDiffViewer {
             `;
             return;
         }
+        if (cache.size === 0) content.innerHTML = '';
+        
+        const lineCount = this.lineCount();
+        const topLine = Math.min(this.topLine, this.maxTopLine());
+        const startLine = Math.max(0, Math.floor(topLine) - this.overscan);
+        const endLine = Math.min(lineCount, Math.ceil(topLine + viewport.clientHeight / this.rowHeight) + this.overscan);
+        
+        const stale = this.scrollState[panel].start < 0;
+        this.scrollState[panel] = { start: startLine, end: endLine };
+        content.style.height = `${this.scrollHeight()}px`;
+        
+        const free = [];
+        cache.forEach((row, line) => {
+            if (stale || line < startLine || line >= endLine) {
+                free.push(row);
+                cache.delete(line);
+            }
+        });
         
-        const totalRows = Math.ceil(data.length / this.bytesPerRow);
-        const totalHeight = totalRows * this.rowHeight;
-        
-        const viewportHeight = viewport.clientHeight;
-        const scrollTop = viewport.scrollTop;
-        
-        const startRow = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.overscan);
-        const endRow = Math.min(totalRows, Math.ceil((scrollTop + viewportHeight) / this.rowHeight) + this.overscan);
-        
-        if (this.scrollState[panel].start === startRow && 
-            this.scrollState[panel].end === endRow) {
+        // 新进入窗口的行按顺序填充，各面板的查询（见 rowView）只需创建一次
+        const views = {};
+        const viewOf = (side) => views[side] || (views[side] = this.rowView(side));
+        for (let line = startLine; line < endLine; line++) {
+            if (cache.has(line)) continue;
+            let row = free.pop();
+            if (!row) {
+                row = document.createElement('div');
+                content.appendChild(row);
+            }
+            this.fillRow(row, this.lineItem(line), panel, viewOf);
+            cache.set(line, row);
+        }
+        free.forEach(row => row.remove());
+        
+        // 元素按行号顺序排列，复制可见文本时顺序正确
+        const top = viewport.scrollTop - topLine * this.rowHeight;
+        let prev = null;
+        for (let line = startLine; line < endLine; line++) {
+            const row = cache.get(line);
+            if (row.previousElementSibling !== prev) content.insertBefore(row, prev ? prev.nextSibling : content.firstChild);
+            row.style.transform = `translateY(${top + line * this.rowHeight}px)`;
+            prev = row;
+        }
+    }
+    
+    /**
+     * 按显示行内容填充行元素: 折叠标记，或某一侧的一行字节；
+     * 统一视图中行首为 -（A）、+（B），相同的行只显示 A 并以空格开头
+     */
+    fillRow(row, item, panel, viewOf) {
+        if (item.kind === 'fold') {
+            const end = Math.min((item.row + item.count) * this.bytesPerRow, this.virtualLength);
+            const bytes = end - item.row * this.bytesPerRow;
+            row.className = 'hex-row fold-row';
+            row.dataset.row = item.row;
+            row.dataset.panel = panel;
+            row.innerHTML = `<span class="fold-marker" title="点击展开">… ${bytes.toLocaleString()} 个相同字节 …</span>`;
             return;
         }
         
-        this.scrollState[panel] = { start: startRow, end: endRow };
-        
-        const rows = [];
-        rows.push(`<div class="virtual-spacer-top" style="height:${startRow * this.rowHeight}px"></div>`);
-        
-        for (let row = startRow; row < endRow; row++) {
-            const offset = row * this.bytesPerRow;
-            const rowBytes = data.slice(offset, offset + this.bytesPerRow);
-            rows.push(this.renderRow(offset, rowBytes, panel));
+        let prefix = null;
+        let side = panel;
+        if (this.viewMode === 'unified') {
+            side = item.panel || 'A';
+            prefix = item.kind === 'pairs' ? (side === 'A' ? '-' : '+') : ' ';
         }
-        
-        rows.push(`<div class="virtual-spacer-bottom" style="height:${(totalRows - endRow) * this.rowHeight}px"></div>`);
-        
-        content.innerHTML = rows.join('');
+        row.className = prefix === '-' ? 'hex-row line-removed' : prefix === '+' ? 'hex-row line-added' : 'hex-row';
+        row.dataset.row = item.row;
+        row.dataset.panel = side;
+        const data = side === 'A' ? this.dataA : this.dataB;
+        row.innerHTML = this.renderRow(item.row * this.bytesPerRow, data, side, viewOf(side), prefix);
     }
     
-    renderRow(offset, bytes, panel) {
-        const offsetStr = offset.toString(16).toUpperCase().padStart(8, '0');
-        
-        let hexParts = [];
+    /**
+     * 渲染各行所需的段、搜索匹配、模板字段、映像数据范围上的顺序查询（见 HexDiffCore.intervalCursor），
+     * 行按顺序渲染，逐字节查询不必二分查找
+     */
+    rowView(panel) {
+        const template = this.templateResults[panel];
+        const image = this.images[panel];
+        return {
+            segment: HexDiffCore.intervalCursor(this.segments, seg => seg.vStart, seg => seg.vStart + seg.vLen),
+            match: HexDiffCore.intervalCursor(this.panelMatches[panel], match => match.start, match => match.end),
+            field: template
+                ? HexDiffCore.intervalCursor(template.fields, field => field.offset, field => field.offset + field.size)
+                : () => null,
+            range: image ? HexDiffCore.intervalCursor(image.ranges, range => range[0], range => range[1]) : null,
+            bookmarks: new Set(this.bookmarks.filter(mark => mark.panel === panel).map(mark => mark.offset))
+        };
+    }
+    
+    /**
+     * 按文本列编码解码虚拟位置 [vStart, vEnd) 覆盖的字节，返回 { start, cells }，
+     * cells[i] 对应数据偏移 start + i（见 HexDiffCore.decodeText）；
+     * 解码从字符边界开始并读完末尾的字符，所以跨行的多字节字符也显示在起始字节上
+     */
+    decodeVisibleText(panel, data, vStart, vEnd) {
+        let first = -1;
+        let last = -1;
+        for (let v = vStart; v < vEnd && first < 0; v++) {
+            first = this.offsetAt(panel, v);
+        }
+        for (let v = vEnd - 1; v >= vStart && last < 0; v--) {
+            last = this.offsetAt(panel, v);
+        }
+        if (first < 0) return { start: 0, cells: [] };
+        return { start: first, cells: HexDiffCore.decodeText(data, first, last + 1, this.textEncoding) };
+    }
+    
+    /**
+     * 生成一行的内容，rowStart 为虚拟位置；对侧插入/删除对应的位置显示为空隙占位；
+     * view 为 rowView 的结果，prefix 为统一视图的行首标记
+     */
+    renderRow(rowStart, data, panel, view, prefix = null) {
+        const text = this.decodeVisibleText(panel, data, rowStart, Math.min(rowStart + this.bytesPerRow, this.virtualLength));
+        const startKey = panel === 'A' ? 'aStart' : 'bStart';
+        const lenKey = panel === 'A' ? 'aLen' : 'bLen';
+        let firstOffset = -1;
+        
+        // 字节格 { className, attrs, byte, text }: byte 为 null 时（空隙、空洞、行尾之后）显示 text
+        let cells = [];
         let asciiParts = [];
         
         for (let i = 0; i < this.bytesPerRow; i++) {
-            const byteOffset = offset + i;
+            const v = rowStart + i;
             
-            if (i > 0 && i % 8 === 0) {
-                hexParts.push('<span class="byte-separator"></span>');
+            if (v >= this.virtualLength) {
+                cells.push({ className: '', attrs: '', byte: null, text: '  ' });
+                asciiParts.push('<span class="ascii-char"> </span>');
+                continue;
             }
             
-            if (i < bytes.length) {
-                const byte = bytes[i];
-                const hexStr = byte.toString(16).toUpperCase().padStart(2, '0');
-                
-                let diffClass = '';
-                const diff = this.diffMap.get(byteOffset);
-                if (diff) diffClass = `diff-${diff}`;
-                
-                let matchClass = '';
-                if (this.isSearchMatch(byteOffset)) matchClass = 'search-match';
-                
-                // 检查是否被选中
-                let selectedClass = '';
-                if (this.isSelected(byteOffset, panel)) selectedClass = 'selected';
-                
-                hexParts.push(`<span class="hex-byte ${diffClass} ${matchClass} ${selectedClass}" data-offset="${byteOffset}">${hexStr}</span>`);
-                
-                const char = byte >= 32 && byte < 127 ? String.fromCharCode(byte) : '.';
-                const asciiClass = byte >= 32 && byte < 127 ? '' : 'non-printable';
-                asciiParts.push(`<span class="ascii-char ${asciiClass} ${diffClass} ${selectedClass}">${this.escapeHtml(char)}</span>`);
-            } else {
-                hexParts.push('<span class="hex-byte">  </span>');
-                asciiParts.push('<span class="ascii-char"> </span>');
+            const seg = view.segment(v);
+            const diff = seg && this.isDiff(v) ? seg.type : null;
+            const diffClass = diff ? `diff-${diff}` : '';
+            
+            const rel = seg ? v - seg.vStart : 0;
+            const byteOffset = seg && rel < seg[lenKey] ? seg[startKey] + rel : -1;
+            if (byteOffset < 0) {
+                cells.push({ className: `gap ${diffClass}`, attrs: '', byte: null, text: '··' });
+                asciiParts.push('<span class="ascii-char gap"> </span>');
+                continue;
+            }
+            if (firstOffset < 0) firstOffset = byteOffset;
+            
+            const byte = data[byteOffset];
+            
+            // 映像中没有数据的地址（空洞）不显示填充值
+            if (view.range && !view.range(byteOffset)) {
+                cells.push({ className: `hole ${diffClass}`, attrs: ` data-offset="${byteOffset}" title="未填充"`, byte: null, text: '··' });
+                asciiParts.push('<span class="ascii-char hole"> </span>');
+                continue;
+            }
+            
+            let matchClass = '';
+            if (view.match(byteOffset)) matchClass = 'search-match';
+            if (view.bookmarks.has(byteOffset)) matchClass += ' bookmark';
+            
+            // 检查是否被选中
+            let selectedClass = '';
+            if (this.isSelected(byteOffset, panel)) selectedClass = 'selected';
+            if (this.cursor.panel === panel && this.cursor.offset === byteOffset) {
+                selectedClass += this.insertMode ? ' cursor insert' : ' cursor';
+            }
+            
+            // 按翻转位数着色: --flips 为与另一侧对应字节不同的位数
+            let heatClass = '';
+            let heatStyle = '';
+            if (this.bitHeat && diff === 'modified' && rel < seg[panel === 'A' ? 'bLen' : 'aLen']) {
+                const otherByte = this.panelData(panel === 'A' ? 'B' : 'A')[seg[panel === 'A' ? 'bStart' : 'aStart'] + rel];
+                heatClass = 'bit-heat';
+                heatStyle = ` style="--flips: ${HexDiffCore.bitCount(byte ^ otherByte)}"`;
+            }
+            
+            const titles = [];
+            
+            // 模板字段: 按字段着色并在提示中显示字段值
+            let fieldClass = '';
+            const field = view.field(byteOffset);
+            if (field) {
+                fieldClass = `tpl-field tpl-${field.color}`;
+                titles.push(`${field.path}: ${field.value === null ? '—' : field.value}`);
+            }
+            
+            // 三方对比时在提示中显示基准值
+            if (this.dataBase && diff) {
+                const baseByte = this.dataBase[v];
+                titles.push(`基准: ${baseByte === undefined ? '--' : baseByte.toString(16).toUpperCase().padStart(2, '0')}`);
+            }
+            const title = titles.length > 0
+                ? ` title="${titles.join('\n').replace(/[&<>"']/g, c => this.escapeHtml(c))}"`
+                : '';
+            
+            cells.push({
+                className: `${diffClass} ${heatClass} ${fieldClass} ${matchClass} ${selectedClass}`,
+                attrs: ` data-offset="${byteOffset}"${title}${heatStyle}`,
+                byte
+            });
+            
+            // 多字节字符显示在起始字节上并向右延伸，后续字节留空
+            let char = text.cells[byteOffset - text.start];
+            let asciiClass = '';
+            if (char === null || char === undefined) {
+                char = '.';
+                asciiClass = 'non-printable';
+            } else if (char === '') {
+                char = ' ';
+                asciiClass = 'continuation';
+            } else if (text.cells[byteOffset - text.start + 1] === '') {
+                asciiClass = 'multibyte';
             }
+            asciiParts.push(`<span class="ascii-char ${asciiClass} ${diffClass} ${selectedClass}">${this.escapeHtml(char)}</span>`);
         }
         
-        return `<div class="hex-row">
-            <span class="offset">${offsetStr}</span>
-            <span class="hex-bytes">${hexParts.join('')}</span>
-            <span class="ascii-view">${asciiParts.join('')}</span>
-        </div>`;
+        // 整行都是空隙时不显示偏移
+        const offsetStr = firstOffset >= 0
+            ? (this.baseOffset(panel) + firstOffset).toString(16).toUpperCase().padStart(8, '0')
+            : '';
+        
+        const prefixHtml = prefix === null ? '' : `<span class="line-prefix">${prefix}</span>`;
+        return `${prefixHtml}<span class="offset">${offsetStr}</span>
+            <span class="hex-bytes">${this.renderCells(cells)}</span>
+            <span class="ascii-view">${asciiParts.join('')}</span>`;
+    }
+    
+    /**
+     * 一行的字节格: 按 byteGroup 分组，小端时组内倒序显示（类似 xxd -e），每 8 字节加分隔；
+     * 八进制、十进制的字把整个字的数值叠加显示在组上，组内各字节格仍各自着色、选择
+     */
+    renderCells(cells) {
+        const group = this.byteGroup;
+        const wordValue = group > 1 && ['oct', 'dec', 'int'].includes(this.cellRadix);
+        const parts = [];
+        
+        for (let i = 0; i < cells.length; i += group) {
+            if (i > 0 && i % 8 === 0) {
+                parts.push('<span class="byte-separator"></span>');
+            }
+            if (group === 1) {
+                parts.push(this.renderCell(cells[i], this.formatCell(cells[i].byte)));
+                continue;
+            }
+            
+            const word = cells.slice(i, i + group);
+            if (this.groupEndian === 'le') word.reverse();
+            // 字不完整（含空隙或空洞）时无法得到数值，各字节改为显示十六进制
+            const value = wordValue && word.every(cell => cell.byte !== null) ? this.formatWord(word) : null;
+            const bytes = word.map(cell => {
+                if (value !== null) return this.renderCell(cell, '');
+                return this.renderCell(cell, wordValue ? this.formatCell(cell.byte, 'hex') : this.formatCell(cell.byte));
+            });
+            const overlay = value !== null ? `<span class="word-value">${value}</span>` : '';
+            parts.push(`<span class="hex-group">${bytes.join('')}${overlay}</span>`);
+        }
+        return parts.join('');
+    }
+    
+    renderCell(cell, text) {
+        return `<span class="hex-byte ${cell.className}"${cell.attrs}>${cell.byte === null ? cell.text : text}</span>`;
     }
     
-    isSearchMatch(offset) {
-        for (const match of this.searchMatches) {
-            if (offset >= match.start && offset < match.end) return true;
+    /**
+     * 单个字节按进制显示；有符号十进制按 8 位补码解释
+     */
+    formatCell(byte, radix = this.cellRadix) {
+        if (byte === null) return '';
+        switch (radix) {
+            case 'bin': return byte.toString(2).padStart(8, '0');
+            case 'oct': return byte.toString(8).padStart(3, '0');
+            case 'dec': return String(byte);
+            case 'int': return String(byte << 24 >> 24);
+            default: return byte.toString(16).toUpperCase().padStart(2, '0');
         }
-        return false;
+    }
+    
+    /**
+     * 字的数值，word 为显示顺序（高位字节在前）的字节格；有符号十进制按补码解释
+     */
+    formatWord(word) {
+        const bits = BigInt(8 * word.length);
+        let value = 0n;
+        for (const cell of word) value = (value << 8n) | BigInt(cell.byte);
+        if (this.cellRadix === 'int' && value >= 1n << (bits - 1n)) value -= 1n << bits;
+        if (this.cellRadix === 'oct') return value.toString(8).padStart(Math.ceil(Number(bits) / 3), '0');
+        return value.toString();
     }
     
     isSelected(offset, panel) {
@@ -919,52 +3161,43 @@ class HexDiffViewer {
     }
     
     search() {
-        const input = this.elements.searchInput.value.trim();
-        if (!input) return;
+        const input = this.elements.searchInput.value;
+        const mode = this.elements.searchMode.value;
+        if (!(mode === 'hex' ? input.trim() : input)) return;
         
-        let searchBytes;
+        let pattern;
         try {
-            searchBytes = this.parseHex(input);
+            pattern = HexDiffCore.compileSearch(mode === 'hex' ? input.trim() : input, mode, this.elements.searchIgnoreCase.checked);
         } catch (e) {
             this.elements.matchInfo.textContent = '无效';
+            this.elements.matchInfo.title = e.message;
             return;
         }
+        if (pattern.bytes && pattern.bytes.length === 0) return;
         
-        if (searchBytes.length === 0) return;
-        
-        this.searchMatches = [];
-        this.currentMatchIndex = -1;
-        
-        const searchIn = (data) => {
-            if (!data) return;
-            for (let i = 0; i <= data.length - searchBytes.length; i++) {
-                let match = true;
-                for (let j = 0; j < searchBytes.length; j++) {
-                    if (data[i + j] !== searchBytes[j]) {
-                        match = false;
-                        break;
-                    }
-                }
-                if (match) {
-                    this.searchMatches.push({ start: i, end: i + searchBytes.length });
-                    i += searchBytes.length - 1;
-                }
-            }
-        };
+        const scope = this.elements.searchScope.value;
+        const panels = scope === 'both' ? ['A', 'B'] : [scope];
+        const limit = HexDiffCore.SEARCH_MAX_MATCHES;
         
-        searchIn(this.dataA);
+        this.resetSearch();
+        panels.forEach(panel => {
+            this.panelMatches[panel] = HexDiffCore.searchData(this.panelData(panel), pattern, limit)
+                .map(match => ({ panel, start: match.start, end: match.end }));
+        });
         
-        // 去重
-        const unique = [];
-        const seen = new Set();
-        for (const m of this.searchMatches) {
-            const key = `${m.start}-${m.end}`;
-            if (!seen.has(key)) {
-                seen.add(key);
-                unique.push(m);
-            }
-        }
-        this.searchMatches = unique;
+        this.searchTruncated = panels.some(panel => this.panelMatches[panel].length >= limit);
+        this.showSearchResults();
+    }
+    
+    /**
+     * 按 panelMatches 生成导航列表并跳到第一个匹配
+     */
+    showSearchResults() {
+        // 两侧匹配按对齐后的位置排列，导航时自上而下交替经过 A、B
+        this.searchMatches = this.panelMatches.A.concat(this.panelMatches.B)
+            .map(match => ({ ...match, v: this.virtualOffset(match.panel, match.start) }))
+            .sort((x, y) => x.v - y.v || (x.panel < y.panel ? -1 : 1));
+        this.renderMatchList();
         
         if (this.searchMatches.length > 0) {
             this.currentMatchIndex = 0;
@@ -973,6 +3206,48 @@ class HexDiffViewer {
         
         this.updateMatchInfo();
         this.render();
+        this.updateDiffGutter();
+    }
+    
+    resetSearch() {
+        this.searchMatches = [];
+        this.panelMatches = { A: [], B: [] };
+        this.currentMatchIndex = -1;
+        this.searchTruncated = false;
+        this.elements.matchInfo.textContent = '';
+        this.elements.matchInfo.title = '';
+        this.elements.matchBody.innerHTML = '';
+    }
+    
+    /**
+     * 侧栏搜索匹配列表，A、B 分别列出各自的匹配（偏移和开头几个字节），每侧最多 MATCH_LIST_LIMIT 项；
+     * 行的 data-index 为 searchMatches 中的序号
+     */
+    renderMatchList() {
+        const hex = (n, width) => n.toString(16).toUpperCase().padStart(width, '0');
+        const rows = [];
+        for (const panel of ['A', 'B']) {
+            const count = this.panelMatches[panel].length;
+            const more = this.searchTruncated && count >= HexDiffCore.SEARCH_MAX_MATCHES ? '+' : '';
+            rows.push(`<tr><th colspan="2" class="match-group">${panel} · ${count.toLocaleString()}${more} 个匹配</th></tr>`);
+            
+            const data = this.panelData(panel);
+            let listed = 0;
+            this.searchMatches.forEach((match, index) => {
+                if (match.panel !== panel || listed++ >= HexDiffViewer.MATCH_LIST_LIMIT) return;
+                const end = Math.min(match.end, match.start + HexDiffViewer.MATCH_PREVIEW_BYTES);
+                const bytes = Array.from(data.subarray(match.start, end), b => hex(b, 2)).join(' ');
+                const active = index === this.currentMatchIndex ? ' active' : '';
+                rows.push(`<tr class="hunk-row${active}" data-index="${index}">
+                    <td>0x${hex(this.baseOffset(panel) + match.start, 8)}</td>
+                    <td class="hunk-preview">${bytes}${match.end > end ? ' …' : ''}</td>
+                </tr>`);
+            });
+            if (count > HexDiffViewer.MATCH_LIST_LIMIT) {
+                rows.push(`<tr><td colspan="2" class="hunk-more">… 另有 ${(count - HexDiffViewer.MATCH_LIST_LIMIT).toLocaleString()} 处未列出</td></tr>`);
+            }
+        }
+        this.elements.matchBody.innerHTML = rows.join('');
     }
     
     navigateMatch(dir) {
@@ -990,17 +3265,25 @@ class HexDiffViewer {
         const match = this.searchMatches[index];
         if (!match) return;
         
-        const row = Math.floor(match.start / this.bytesPerRow);
-        const scrollTop = row * this.rowHeight - 80;
-        this.elements.viewportA.scrollTop = Math.max(0, scrollTop);
+        const row = Math.floor(match.v / this.bytesPerRow);
+        this.scrollToRow(row, 80 / this.rowHeight);
+        
+        this.elements.matchBody.querySelectorAll('.hunk-row').forEach(tr => {
+            const active = parseInt(tr.dataset.index) === index;
+            tr.classList.toggle('active', active);
+            if (active && tr.scrollIntoView) tr.scrollIntoView({ block: 'nearest' });
+        });
     }
     
     updateMatchInfo() {
         if (this.searchMatches.length === 0) {
             this.elements.matchInfo.textContent = '0';
         } else {
-            this.elements.matchInfo.textContent = `${this.currentMatchIndex + 1}/${this.searchMatches.length}`;
+            const current = this.searchMatches[this.currentMatchIndex];
+            const more = this.searchTruncated ? '+' : '';
+            this.elements.matchInfo.textContent = `${current.panel} ${this.currentMatchIndex + 1}/${this.searchMatches.length}${more}`;
         }
+        this.elements.matchInfo.title = `A: ${this.panelMatches.A.length} 个匹配, B: ${this.panelMatches.B.length} 个匹配`;
     }
     
     showJumpModal() {
@@ -1019,16 +3302,219 @@ class HexDiffViewer {
         
         if (isNaN(offset) || offset < 0) return;
         
-        const maxLen = Math.max(
-            this.dataA ? this.dataA.length : 0,
-            this.dataB ? this.dataB.length : 0
-        );
+        // 偏移按数据 A 解释（A 为空时按 B），换算为对齐后的行
+        const panel = this.dataA ? 'A' : 'B';
+        const source = this.sources[panel];
+        this.hideJumpModal();
         
-        offset = Math.min(offset, maxLen);
+        // 大文件: 目标不在当前窗口时先切换窗口
+        if (source && source.windowed) {
+            const base = this.baseOffset(panel);
+            if (offset < base || offset >= base + source.bytes.length) {
+                this.setFileWindow(offset).then(() => this.scrollToOffset(panel, offset - this.baseOffset(panel)));
+                return;
+            }
+        }
         
-        const row = Math.floor(offset / this.bytesPerRow);
-        this.elements.viewportA.scrollTop = row * this.rowHeight;
-        this.hideJumpModal();
+        this.scrollToOffset(panel, offset - this.baseOffset(panel));
+    }
+    
+    scrollToOffset(panel, offset) {
+        const data = panel === 'A' ? this.dataA : this.dataB;
+        const maxLen = data ? data.length : 0;
+        
+        offset = Math.min(Math.max(offset, 0), maxLen);
+        
+        const row = Math.floor(this.virtualOffset(panel, offset) / this.bytesPerRow);
+        this.scrollToRow(row);
+    }
+    
+    /**
+     * 导航条交互: 点击或拖动跳转，悬停显示该处的偏移范围和差异统计，叠加层开关
+     */
+    bindGutter() {
+        const gutter = this.elements.diffGutter;
+        
+        gutter.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || this.virtualLength === 0) return;
+            e.preventDefault();
+            this.gutterDragging = true;
+            this.scrollToGutter(e.clientY);
+        });
+        document.addEventListener('mousemove', (e) => {
+            if (this.gutterDragging) this.scrollToGutter(e.clientY);
+        });
+        document.addEventListener('mouseup', () => {
+            this.gutterDragging = false;
+        });
+        
+        gutter.addEventListener('mousemove', (e) => this.showGutterTooltip(e));
+        gutter.addEventListener('mouseleave', () => this.elements.gutterTooltip.classList.remove('active'));
+        
+        [['layerMatches', 'matches'], ['layerBookmarks', 'bookmarks'], ['layerEntropy', 'entropy']].forEach(([id, layer]) => {
+            this.elements[id].checked = this.gutterLayers[layer];
+            this.elements[id].addEventListener('change', (e) => {
+                this.gutterLayers[layer] = e.target.checked;
+                this.writeSession({ gutterLayers: this.gutterLayers });
+                this.updateDiffGutter();
+            });
+        });
+    }
+    
+    /**
+     * 导航条上的纵坐标（相对导航条顶部）对应的虚拟位置范围 [start, end)
+     */
+    gutterRange(y, height) {
+        const start = Math.floor(y / height * this.virtualLength);
+        const end = Math.max(start + 1, Math.floor((y + 1) / height * this.virtualLength));
+        return { start, end: Math.min(end, this.virtualLength) };
+    }
+    
+    /**
+     * 把导航条上 clientY 处对应的位置滚动到视图中央
+     */
+    scrollToGutter(clientY) {
+        const rect = this.elements.diffGutter.getBoundingClientRect();
+        if (rect.height === 0) return;
+        const ratio = Math.min(Math.max((clientY - rect.top) / rect.height, 0), 1);
+        const visibleLines = this.elements.viewportA.clientHeight / this.rowHeight;
+        this.scrollToLine(this.lineAtRow(ratio * this.totalRows()) - visibleLines / 2);
+    }
+    
+    /**
+     * 导航条上表示当前可见范围的半透明框，随滚动更新
+     */
+    updateGutterViewport() {
+        const indicator = this.elements.gutterViewport;
+        const totalRows = this.totalRows();
+        const gutterHeight = this.elements.diffGutter.clientHeight;
+        if (totalRows === 0 || gutterHeight === 0) {
+            indicator.classList.remove('active');
+            return;
+        }
+        
+        // 仅差异模式下可见范围可能跨过折叠的行，按首末可见行对应的虚拟行计算
+        const visibleLines = this.elements.viewportA.clientHeight / this.rowHeight;
+        const first = this.rowAtLine(this.topLine);
+        const last = this.rowAtLine(Math.min(this.lineCount(), this.topLine + visibleLines));
+        const height = Math.max(HexDiffViewer.GUTTER_VIEWPORT_MIN,
+            Math.min(1, (last - first) / totalRows) * gutterHeight);
+        const top = Math.min(first / totalRows * gutterHeight, gutterHeight - height);
+        indicator.style.top = `${Math.max(0, top)}px`;
+        indicator.style.height = `${height}px`;
+        indicator.classList.add('active');
+    }
+    
+    showGutterTooltip(e) {
+        const tooltip = this.elements.gutterTooltip;
+        const rect = this.elements.diffGutter.getBoundingClientRect();
+        if (this.virtualLength === 0 || rect.height === 0) {
+            tooltip.classList.remove('active');
+            return;
+        }
+        
+        const y = Math.min(Math.max(Math.floor(e.clientY - rect.top), 0), Math.floor(rect.height) - 1);
+        const range = this.gutterRange(y, Math.floor(rect.height));
+        const region = { vStart: range.start, vLen: range.end - range.start };
+        const hex = (n) => '0x' + n.toString(16).toUpperCase();
+        
+        const lines = ['A', 'B'].map(panel => {
+            const span = HexDiffCore.regionSpan(this.segments, panel, region);
+            if (!span) return `${panel}: —`;
+            const base = this.baseOffset(panel);
+            return `${panel}: ${hex(base + span.start)} - ${hex(base + span.end - 1)}`;
+        });
+        lines.push(`差异: ${this.diffBytesIn(range.start, range.end).toLocaleString()} 字节`);
+        
+        if (this.gutterLayers.matches && this.searchMatches.length > 0) {
+            const count = this.searchMatches.filter(match => match.v >= range.start && match.v < range.end).length;
+            lines.push(`搜索匹配: ${count}`);
+        }
+        if (this.gutterLayers.bookmarks && this.bookmarks.length > 0) {
+            const count = this.bookmarks.filter(mark => {
+                const v = this.bookmarkPosition(mark);
+                return v >= range.start && v < range.end;
+            }).length;
+            if (count > 0) lines.push(`书签: ${count}`);
+        }
+        if (this.gutterLayers.entropy && this.entropyCache) {
+            const entropy = ['A', 'B']
+                .filter(panel => this.entropyCache[panel][y] >= 0)
+                .map(panel => `${panel} ${this.entropyCache[panel][y].toFixed(2)}`);
+            if (entropy.length > 0) lines.push(`熵: ${entropy.join(' / ')}`);
+        }
+        
+        tooltip.textContent = lines.join('\n');
+        tooltip.style.top = `${e.clientY + 12}px`;
+        tooltip.style.left = `${e.clientX + 12}px`;
+        tooltip.classList.add('active');
+    }
+    
+    /**
+     * 位级差异卡片: 鼠标悬停在已修改的字节上时显示两侧的二进制值，翻转的位高亮
+     */
+    bindBitCard() {
+        const card = this.elements.bitCard;
+        ['A', 'B'].forEach(panel => {
+            const content = this.elements[`content${panel}`];
+            content.addEventListener('mouseover', (e) => {
+                const byte = e.target.closest('.hex-byte.diff-modified[data-offset]');
+                if (byte) this.showBitCard(byte, e);
+                else card.classList.remove('active');
+            });
+            content.addEventListener('mouseleave', () => card.classList.remove('active'));
+        });
+    }
+    
+    showBitCard(byte, e) {
+        const card = this.elements.bitCard;
+        const v = this.virtualOffset(this.bytePanel(byte), parseInt(byte.dataset.offset, 10));
+        const offsets = { A: this.offsetAt('A', v), B: this.offsetAt('B', v) };
+        if (offsets.A < 0 || offsets.B < 0) {
+            card.classList.remove('active');
+            return;
+        }
+        
+        const values = { A: this.dataA[offsets.A], B: this.dataB[offsets.B] };
+        const flipped = values.A ^ values.B;
+        const hex = (n, width) => n.toString(16).toUpperCase().padStart(width, '0');
+        const bits = (value) => [7, 6, 5, 4, 3, 2, 1, 0].map(bit => {
+            const digit = `<span class="${flipped >> bit & 1 ? 'bit flipped' : 'bit'}">${value >> bit & 1}</span>`;
+            return bit === 3 ? ` ${digit}` : digit;
+        }).join('');
+        
+        const lines = ['A', 'B'].map(panel => {
+            const offset = hex(this.baseOffset(panel) + offsets[panel], 8);
+            return `${panel} 0x${offset}  ${hex(values[panel], 2)}  ${bits(values[panel])}`;
+        });
+        const positions = [7, 6, 5, 4, 3, 2, 1, 0].filter(bit => flipped >> bit & 1);
+        lines.unshift(`${' '.repeat(18)}<span class="bit-index">7654 3210</span>`);
+        lines.push(`翻转 ${positions.length} 位: 位 ${positions.join(', ')}`);
+        
+        card.innerHTML = lines.join('\n');
+        card.style.top = `${e.clientY + 12}px`;
+        card.style.left = `${e.clientX + 12}px`;
+        card.classList.add('active');
+    }
+    
+    /**
+     * 虚拟位置 [start, end) 内的差异字节数（按差异块统计）
+     */
+    diffBytesIn(start, end) {
+        const hunks = this.hunks;
+        let lo = 0;
+        let hi = hunks.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (hunks[mid].vStart + hunks[mid].vLen <= start) lo = mid + 1;
+            else hi = mid;
+        }
+        
+        let count = 0;
+        for (let i = lo; i < hunks.length && hunks[i].vStart < end; i++) {
+            count += Math.min(end, hunks[i].vStart + hunks[i].vLen) - Math.max(start, hunks[i].vStart);
+        }
+        return count;
     }
     
     updateDiffGutter() {
@@ -1049,93 +3535,319 @@ class HexDiffViewer {
         ctx.fillStyle = '#0d1117';
         ctx.fillRect(0, 0, width, height);
         
-        if (this.diffMap.size === 0) return;
-        
-        const maxLen = Math.max(
-            this.dataA ? this.dataA.length : 0,
-            this.dataB ? this.dataB.length : 0
-        );
+        this.updateGutterViewport();
+        if (this.virtualLength === 0) return;
         
-        if (maxLen === 0) return;
+        // 导航条统计由后台任务按当前高度生成，尺寸变化后在主线程按段重新统计
+        if (!this.gutterBuckets || this.gutterBuckets.length !== Math.floor(height)) {
+            this.gutterBuckets = HexDiffCore.bucketSegments(this.segments, this.virtualLength, height);
+        }
         
         const colors = {
             added: '#238636',
             removed: '#da3633',
-            modified: '#d29922'
+            modified: '#d29922',
+            aOnly: '#388bfd',
+            bOnly: '#a371f7',
+            both: '#2ea89b',
+            conflict: '#ff4757'
         };
         
-        const blockSize = Math.max(1, Math.ceil(maxLen / height));
-        const blocks = new Map();
-        
-        for (const [offset, type] of this.diffMap) {
-            const blockIndex = Math.floor(offset / blockSize);
-            if (!blocks.has(blockIndex)) blocks.set(blockIndex, new Set());
-            blocks.get(blockIndex).add(type);
-        }
-        
-        for (const [blockIndex, types] of blocks) {
-            const y = (blockIndex / (maxLen / blockSize)) * height;
+        for (let y = 0; y < this.gutterBuckets.length; y++) {
+            const flags = this.gutterBuckets[y];
+            if (!flags) continue;
+            
             let color = colors.added;
-            if (types.has('modified')) color = colors.modified;
-            else if (types.has('removed')) color = colors.removed;
+            if (flags & HexDiffCore.BUCKET_CONFLICT) color = colors.conflict;
+            else if (flags & HexDiffCore.BUCKET_BOTH) color = colors.both;
+            else if (flags & HexDiffCore.BUCKET_A_ONLY) color = colors.aOnly;
+            else if (flags & HexDiffCore.BUCKET_B_ONLY) color = colors.bOnly;
+            else if (flags & HexDiffCore.BUCKET_MODIFIED) color = colors.modified;
+            else if (flags & HexDiffCore.BUCKET_REMOVED) color = colors.removed;
             
             ctx.fillStyle = color;
-            ctx.fillRect(width / 4, y, width / 2, Math.max(2, height / (maxLen / blockSize)));
+            ctx.fillRect(width / 4, y, width / 2, 2);
+        }
+        
+        // 叠加层: 两侧边缘为 A/B 的熵，差异块两旁为 A/B 的搜索匹配，书签横跨整个导航条
+        const edge = HexDiffViewer.GUTTER_EDGE_WIDTH;
+        if (this.gutterLayers.entropy) {
+            const entropy = this.gutterEntropy(Math.floor(height));
+            ['A', 'B'].forEach(panel => {
+                const x = panel === 'A' ? 0 : width - edge;
+                entropy[panel].forEach((value, y) => {
+                    if (value < 0) return;
+                    // 低熵偏蓝，高熵（压缩/加密数据）偏红
+                    ctx.fillStyle = `hsl(${Math.round(240 - value / 8 * 240)}, 80%, 45%)`;
+                    ctx.fillRect(x, y, edge, 1);
+                });
+            });
+        }
+        
+        if (this.gutterLayers.matches) {
+            ctx.fillStyle = '#00d9ff';
+            const marks = { A: new Uint8Array(Math.floor(height)), B: new Uint8Array(Math.floor(height)) };
+            for (const match of this.searchMatches) {
+                marks[match.panel][Math.min(marks.A.length - 1, Math.floor(match.v / this.virtualLength * height))] = 1;
+            }
+            ['A', 'B'].forEach(panel => {
+                const x = panel === 'A' ? edge + 1 : width * 3 / 4 + 1;
+                marks[panel].forEach((mark, y) => {
+                    if (mark) ctx.fillRect(x, y, width / 4 - edge - 2, 2);
+                });
+            });
+        }
+        
+        if (this.gutterLayers.bookmarks) {
+            ctx.fillStyle = '#ff9500';
+            for (const mark of this.bookmarks) {
+                const v = this.bookmarkPosition(mark);
+                if (v >= 0) ctx.fillRect(0, Math.floor(v / this.virtualLength * height), width, 2);
+            }
+        }
+    }
+    
+    /**
+     * 导航条每个像素行覆盖范围内 A/B 字节的熵，没有数据的行为 -1；
+     * 每行最多取前 ENTROPY_SAMPLE 字节，按高度和对齐结果缓存
+     */
+    gutterEntropy(height) {
+        const cache = this.entropyCache;
+        if (cache && cache.height === height && cache.segments === this.segments) return cache;
+        
+        const result = { height, segments: this.segments };
+        ['A', 'B'].forEach(panel => {
+            const values = new Float32Array(height).fill(-1);
+            const data = this.panelData(panel);
+            for (let y = 0; data && y < height; y++) {
+                const range = this.gutterRange(y, height);
+                const span = HexDiffCore.regionSpan(this.segments, panel, { vStart: range.start, vLen: range.end - range.start });
+                if (!span) continue;
+                const end = Math.min(span.end, span.start + HexDiffViewer.ENTROPY_SAMPLE);
+                values[y] = HexDiffCore.entropy(data.subarray(span.start, end));
+            }
+            result[panel] = values;
+        });
+        
+        this.entropyCache = result;
+        return result;
+    }
+    
+    /**
+     * 书签所在的虚拟位置，偏移超出数据长度时返回 -1
+     */
+    bookmarkPosition(mark) {
+        const data = this.panelData(mark.panel);
+        if (!data || mark.offset >= data.length) return -1;
+        return this.virtualOffset(mark.panel, mark.offset);
+    }
+    
+    /**
+     * 在选区起点（没有选区时为光标处）添加或删除书签
+     */
+    toggleBookmark() {
+        let panel = this.cursor.panel;
+        let offset = this.cursor.offset;
+        if (this.selection.start >= 0) {
+            panel = this.selection.panel;
+            offset = Math.min(this.selection.start, this.selection.end);
         }
+        if (!panel || offset < 0) return;
+        
+        const index = this.bookmarks.findIndex(mark => mark.panel === panel && mark.offset === offset);
+        if (index >= 0) this.bookmarks.splice(index, 1);
+        else this.bookmarks.push({ panel, offset });
+        
+        this.writeSession({ bookmarks: this.bookmarks });
+        this.render();
+        this.updateDiffGutter();
     }
     
+    /**
+     * 按所选格式和范围导出差异报告（见 HexDiffCore.createReport）
+     */
     exportDiff() {
-        if (this.diffMap.size === 0) {
+        if (this.hunks.length === 0) {
             alert('没有差异可导出');
             return;
         }
         
-        let output = 'HexDump Diff 报告\n';
-        output += '='.repeat(60) + '\n\n';
-        output += `数据 A: ${this.dataA ? this.dataA.length : 0} 字节\n`;
-        output += `数据 B: ${this.dataB ? this.dataB.length : 0} 字节\n`;
-        output += `总差异: ${this.diffMap.size} 字节\n\n`;
-        output += '-'.repeat(60) + '\n\n';
+        const scope = this.elements.reportScope.value;
+        const ranges = this.reportRanges(scope);
+        if (!ranges) return;
         
-        const sortedOffsets = [...this.diffMap.keys()].sort((a, b) => a - b);
+        const format = this.elements.reportFormat.value;
+        const report = this.reportData(scope, ranges);
         
-        let regions = [];
-        let currentRegion = null;
+        let output;
+        try {
+            output = HexDiffCore.createReport(format, report);
+        } catch (e) {
+            alert('生成报告失败: ' + e.message);
+            return;
+        }
         
-        for (const offset of sortedOffsets) {
-            if (currentRegion === null || offset > currentRegion.end) {
-                if (currentRegion) regions.push(currentRegion);
-                currentRegion = { start: offset, end: offset + 1, type: this.diffMap.get(offset) };
-            } else {
-                currentRegion.end = offset + 1;
-                if (currentRegion.type !== this.diffMap.get(offset)) currentRegion.type = 'mixed';
+        const file = HexDiffViewer.REPORT_FILES[format];
+        this.downloadBlob(new Blob([output], { type: file.type }), file.name);
+    }
+    
+    /**
+     * HexDiffCore.createReport 的输入: 当前两侧数据和对齐结果，限定在 ranges 内
+     */
+    reportData(scope, ranges) {
+        return {
+            a: this.dataA || new Uint8Array(0),
+            b: this.dataB || new Uint8Array(0),
+            segments: this.segments,
+            virtualLength: this.virtualLength,
+            names: { A: this.panelName('A'), B: this.panelName('B') },
+            bases: { A: this.baseOffset('A'), B: this.baseOffset('B') },
+            scope,
+            ranges,
+            bytesPerRow: this.bytesPerRow,
+            encoding: this.textEncoding
+        };
+    }
+    
+    /**
+     * 报告范围对应的虚拟位置范围；选区或搜索结果为空时提示并返回 null
+     */
+    reportRanges(scope) {
+        if (scope === 'selection') {
+            if (this.selection.start < 0) {
+                alert('请先选择要导出的字节');
+                return null;
             }
+            const panel = this.selection.panel || 'A';
+            const start = Math.min(this.selection.start, this.selection.end);
+            const end = Math.max(this.selection.start, this.selection.end);
+            return [{ start: this.virtualOffset(panel, start), end: this.virtualOffset(panel, end) + 1 }];
         }
-        if (currentRegion) regions.push(currentRegion);
         
-        for (const region of regions) {
-            const startHex = region.start.toString(16).toUpperCase().padStart(8, '0');
-            const endHex = (region.end - 1).toString(16).toUpperCase().padStart(8, '0');
-            const len = region.end - region.start;
-            
-            output += `偏移 0x${startHex} - 0x${endHex} (${len} 字节) [${region.type}]\n`;
-            
-            const showBytes = Math.min(16, len);
-            for (let i = 0; i < showBytes; i++) {
-                const off = region.start + i;
-                const byteA = this.dataA && off < this.dataA.length ? this.dataA[off].toString(16).toUpperCase().padStart(2, '0') : '--';
-                const byteB = this.dataB && off < this.dataB.length ? this.dataB[off].toString(16).toUpperCase().padStart(2, '0') : '--';
-                output += `  0x${off.toString(16).toUpperCase().padStart(8, '0')}: A=${byteA} B=${byteB}\n`;
+        if (scope === 'matches') {
+            if (this.searchMatches.length === 0) {
+                alert('没有搜索匹配可导出');
+                return null;
             }
-            if (len > 16) output += `  ... 还有 ${len - 16} 字节\n`;
-            output += '\n';
+            return HexDiffCore.mergeRanges(this.searchMatches.map(match => ({
+                start: match.v,
+                end: this.virtualOffset(match.panel, match.end - 1) + 1
+            })));
+        }
+        
+        return [{ start: 0, end: this.virtualLength }];
+    }
+    
+    /**
+     * 报告中显示的数据名称: 文件名，文本输入时为“数据 A/B”
+     */
+    panelName(panel) {
+        const source = this.sources[panel];
+        return source ? source.name : `数据 ${panel}`;
+    }
+    
+    /**
+     * 显示/隐藏基准输入面板；三方对比按偏移逐字节比较，不使用智能对齐
+     */
+    toggleThreeWay() {
+        this.threeWay = !this.threeWay;
+        
+        document.querySelector('.app-container').classList.toggle('three-way', this.threeWay);
+        this.elements.threeWayBtn.classList.toggle('active', this.threeWay);
+        this.elements.alignMode.disabled = this.threeWay;
+        
+        this.updateByteCount('Base');
+        this.compare();
+    }
+    
+    /**
+     * 导出三方合并结果: 只有一侧改动的取改动值，两侧改动相同的取共同值，冲突按所选一侧
+     */
+    exportMerged() {
+        if (!this.threeWay || !this.dataBase) {
+            alert('请先输入基准数据并完成三方对比');
+            return;
+        }
+        
+        const prefer = this.elements.mergePrefer.value;
+        const merged = HexDiffCore.mergeThreeWay(this.dataBase, this.dataA || new Uint8Array(0), this.dataB || new Uint8Array(0), prefer);
+        
+        this.downloadBlob(new Blob([merged], { type: 'application/octet-stream' }), 'hexdump-merged.bin');
+    }
+    
+    /**
+     * 生成 A→B 的补丁文件（IPS / BPS / JSON）
+     */
+    exportPatch() {
+        if (!this.dataA || !this.dataB) {
+            alert('请先输入数据 A 和数据 B');
+            return;
+        }
+        
+        const format = this.elements.patchFormat.value;
+        // 三方对比的段是按基准分类的，补丁需要 A→B 的差异块
+        const hunks = this.threeWay ? HexDiffCore.diffByOffset(this.dataA, this.dataB) : this.segments;
+        
+        let patch;
+        try {
+            patch = HexDiffCore.createPatch(format, this.dataA, this.dataB, hunks);
+        } catch (e) {
+            alert('生成补丁失败: ' + e.message);
+            return;
+        }
+        
+        const type = format === 'json' ? 'application/json' : 'application/octet-stream';
+        this.downloadBlob(new Blob([patch], { type }), `hexdump-diff.${format}`);
+    }
+    
+    /**
+     * 把补丁应用到数据 A，并用补丁内的校验值或数据 B 检验结果
+     * 数据 B 为空时结果载入 B，便于查看补丁内容
+     */
+    async applyPatchFile(file) {
+        if (!this.dataA) {
+            alert('请先输入数据 A');
+            return;
         }
         
-        const blob = new Blob([output], { type: 'text/plain' });
+        let result;
+        try {
+            const patch = new Uint8Array(await file.arrayBuffer());
+            result = HexDiffCore.applyPatch(this.dataA, patch);
+        } catch (e) {
+            alert(`应用补丁失败: ${e.message}`);
+            return;
+        }
+        
+        const messages = [`已应用 ${result.format.toUpperCase()} 补丁，结果 ${result.data.length} 字节`];
+        if (result.checksum === true) messages.push('补丁内目标校验: 通过');
+        else if (result.checksum === false) messages.push('补丁内目标校验: 不通过');
+        
+        const resultName = `${file.name} 应用结果`;
+        if (!this.dataB || this.dataB.length === 0) {
+            alert(messages.join('\n'));
+            this.setBinarySource('B', resultName, result.data);
+            this.compare();
+            return;
+        }
+        
+        const matches = result.data.length === this.dataB.length &&
+            result.data.every((byte, i) => byte === this.dataB[i]);
+        messages.push(`与数据 B 对比: ${matches ? '一致' : '不一致'}`);
+        
+        if (matches) {
+            alert(messages.join('\n'));
+        } else if (confirm(messages.join('\n') + '\n\n是否用补丁结果替换数据 B 以查看差异？')) {
+            this.setBinarySource('B', resultName, result.data);
+            this.compare();
+        }
+    }
+    
+    downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'hexdump-diff-report.txt';
+        a.download = filename;
         a.click();
         URL.revokeObjectURL(url);
     }
@@ -1157,6 +3869,83 @@ class HexDiffViewer {
     }
 }
 
+// 输入面板（Base 仅在三方对比时显示）
+HexDiffViewer.INPUT_PANELS = ['A', 'B', 'Base'];
+// 滚动区域的最大高度（像素），低于各浏览器的元素高度上限；行数更多时按比例压缩
+HexDiffViewer.MAX_SCROLL_HEIGHT = 8000000;
+// 仅差异模式下相同的行至少这么多行才折叠
+HexDiffViewer.FOLD_MIN_ROWS = 2;
+// 字节格: 自定义行宽上限；等宽字体的字符宽度，字节格间距、分组内边距、每 8 字节的分隔宽度，
+// 文本列每个字符的宽度，以及偏移、文本列边距和滚动条等行内固定占用的宽度（像素，用于适应窗口）
+HexDiffViewer.MAX_ROW_WIDTH = 256;
+HexDiffViewer.CHAR_WIDTH = 7.2;
+HexDiffViewer.CELL_GAP = 3;
+HexDiffViewer.GROUP_PADDING = 3;
+HexDiffViewer.SEPARATOR_WIDTH = 9;
+HexDiffViewer.ASCII_CHAR_WIDTH = 8;
+HexDiffViewer.ROW_CHROME_WIDTH = 140;
+// 导航条: 可见范围框的最小高度、熵叠加层的宽度（像素），每个像素行计算熵时最多取的字节数
+HexDiffViewer.GUTTER_VIEWPORT_MIN = 4;
+HexDiffViewer.GUTTER_EDGE_WIDTH = 4;
+HexDiffViewer.ENTROPY_SAMPLE = 4096;
+// 侧栏差异块列表最多列出的项数、预览的字节数
+HexDiffViewer.HUNK_LIST_LIMIT = 1000;
+HexDiffViewer.HUNK_PREVIEW_BYTES = 4;
+// 侧栏搜索匹配列表每侧最多列出的项数、预览的字节数
+HexDiffViewer.MATCH_LIST_LIMIT = 1000;
+HexDiffViewer.MATCH_PREVIEW_BYTES = 8;
+// 差异块类型的显示名称（与图例一致）
+HexDiffViewer.HUNK_TYPE_LABELS = {
+    added: '仅在B中',
+    removed: '仅在A中',
+    modified: '已修改',
+    'a-only': '仅A改动',
+    'b-only': '仅B改动',
+    both: '相同改动',
+    conflict: '冲突',
+    mixed: '混合'
+};
+// 各报告格式的文件名和类型
+HexDiffViewer.REPORT_FILES = {
+    text: { name: 'hexdump-diff-report.txt', type: 'text/plain' },
+    json: { name: 'hexdump-diff-report.json', type: 'application/json' },
+    csv: { name: 'hexdump-diff-report.csv', type: 'text/csv' },
+    html: { name: 'hexdump-diff-report.html', type: 'text/html' },
+    unified: { name: 'hexdump-diff-report.diff', type: 'text/x-diff' }
+};
+// 各搜索模式的输入提示
+HexDiffViewer.SEARCH_PLACEHOLDERS = {
+    hex: '搜索 (FF ?? 0?)',
+    ascii: '搜索文本',
+    utf16: '搜索文本 (UTF-16LE)',
+    regex: '正则 (如 PK\\x03\\x04)'
+};
+// 撤销记录的最大条数
+HexDiffViewer.UNDO_LIMIT = 1000;
+// 已保存模板在 localStorage 中的键，以及字段着色的颜色数
+HexDiffViewer.TEMPLATE_STORAGE_KEY = 'hexdiff-templates';
+HexDiffViewer.TEMPLATE_COLORS = 6;
+// 会话设置在 localStorage 中的键
+HexDiffViewer.SESSION_STORAGE_KEY = 'hexdiff-session';
+// 按扩展名识别的固件映像文件及其格式，超过大小上限的仍按原始字节载入
+HexDiffViewer.IMAGE_EXTENSIONS = {
+    hex: 'ihex', ihx: 'ihex', ihex: 'ihex',
+    s19: 'srec', s28: 'srec', s37: 'srec', srec: 'srec', mot: 'srec'
+};
+HexDiffViewer.MAX_IMAGE_TEXT_BYTES = 64 * 1024 * 1024;
+HexDiffViewer.imageFormatOf = (filename) => {
+    const match = filename.match(/\.([^.]+)$/);
+    return match ? HexDiffViewer.IMAGE_EXTENSIONS[match[1].toLowerCase()] || null : null;
+};
+// 输入超过此长度时不在主线程同步解析
+HexDiffViewer.SYNC_PARSE_LIMIT = 256 * 1024;
+// 任务超过此时间（毫秒）仍未完成才显示进度条，避免闪烁
+HexDiffViewer.PROGRESS_DELAY = 200;
+// 文件读取: 超过 MAX_FILE_BYTES 的文件按窗口读取，每次读取一块
+HexDiffViewer.MAX_FILE_BYTES = 256 * 1024 * 1024;
+HexDiffViewer.FILE_WINDOW_SIZE = 64 * 1024 * 1024;
+HexDiffViewer.FILE_CHUNK_SIZE = 8 * 1024 * 1024;
+
 // 初始化
 document.addEventListener('DOMContentLoaded', () => {
     window.hexDiffViewer = new HexDiffViewer();
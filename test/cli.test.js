@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const CLI = path.join(__dirname, '..', 'hexdiff-cli.js');
+
+/**
+ * 在临时目录中写入测试用的输入文件，返回 { 文件名: 路径 }
+ */
+function fixtures(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hexdiff-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const paths = {};
+    for (const [name, content] of Object.entries(files)) {
+        paths[name] = path.join(dir, name);
+        fs.writeFileSync(paths[name], content);
+    }
+    return paths;
+}
+
+function hexdiff(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+}
+
+test('相同的输入退出码为 0，有差异时为 1', (t) => {
+    const files = fixtures(t, {
+        'a.bin': Buffer.from([1, 2, 3, 4]),
+        'same.bin': Buffer.from([1, 2, 3, 4]),
+        'b.bin': Buffer.from([1, 2, 9, 4])
+    });
+
+    const same = hexdiff(files['a.bin'], files['same.bin']);
+    assert.strictEqual(same.status, 0, same.stderr);
+    assert.match(same.stdout, /总差异: 0 字节/);
+
+    const differ = hexdiff(files['a.bin'], files['b.bin']);
+    assert.strictEqual(differ.status, 1, differ.stderr);
+    assert.match(differ.stdout, /偏移 A=0x00000002 B=0x00000002 \(1 字节, 翻转 2 位\) \[modified\]/);
+
+    assert.strictEqual(hexdiff('-q', files['a.bin'], files['b.bin']).stdout, '');
+});
+
+test('未知选项退出码为 2 并输出用法', () => {
+    const result = hexdiff('--bogus', 'a', 'b');
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /^hexdiff: 未知选项: --bogus\n/);
+    assert.match(result.stderr, /用法: hexdiff/);
+    assert.strictEqual(result.stdout, '');
+});
+
+test('严格模式下格式错误的 Intel HEX 按 文件:行:列 报告，退出码为 2', (t) => {
+    const files = fixtures(t, {
+        'good.hex': ':0400000001020304F2\n:00000001FF\n',
+        'bad.hex': ':0400000001020304F2\n:0400040005060708F3\n:00000001FF\n'
+    });
+
+    const result = hexdiff('-f', 'ihex', files['good.hex'], files['bad.hex']);
+    assert.strictEqual(result.status, 2);
+    assert.strictEqual(result.stderr, `${files['bad.hex']}:2:18: 错误: 校验和错误\n`);
+    assert.strictEqual(result.stdout, '');
+
+    const lenient = hexdiff('-f', 'ihex', '--lenient', files['good.hex'], files['bad.hex']);
+    assert.strictEqual(lenient.status, 0);
+    assert.match(lenient.stderr, /bad\.hex:2:18: 警告: 校验和错误/);
+});
+
+test('-o unified 输出统一格式的 hexdump 差异', (t) => {
+    const files = fixtures(t, {
+        'a.bin': 'AABB',
+        'b.bin': 'AAxBB'
+    });
+
+    const result = hexdiff('-o', 'unified', files['a.bin'], files['b.bin']);
+    assert.strictEqual(result.status, 1, result.stderr);
+    assert.strictEqual(result.stdout, [
+        `--- ${files['a.bin']}`,
+        `+++ ${files['b.bin']}`,
+        '@@ -1,1 +1,1 @@',
+        '-00000000: 4141 4242                                AABB',
+        '+00000000: 4141 7842 42                             AAxBB',
+        ''
+    ].join('\n'));
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const HexDiffCore = require('../hexdiff-core.js');
+
+/**
+ * 生成 S1 记录（16 位地址），records 为 [[地址, [字节...]], ...]
+ */
+function srec(records) {
+    const hex = (n) => n.toString(16).toUpperCase().padStart(2, '0');
+    return records.map(([address, data]) => {
+        const bytes = [data.length + 3, address >> 8, address & 0xFF, ...data];
+        const checksum = ~bytes.reduce((sum, b) => sum + b, 0) & 0xFF;
+        return `S1${bytes.map(hex).join('')}${hex(checksum)}`;
+    }).join('\n') + '\nS9030000FC\n';
+}
+
+async function compareImages(textA, textB) {
+    const result = await HexDiffCore.runCompare({
+        id: 0,
+        inputs: { A: { text: textA, format: 'srec' }, B: { text: textB, format: 'srec' } },
+        alignMode: 'align',
+        gutterHeight: 0
+    });
+    assert.deepStrictEqual(result.errors, {});
+    return result;
+}
+
+test('按地址对比的映像生成的补丁可以还原 B', async () => {
+    const cases = [
+        // A 有数据而 B 为空洞、B 有数据而 A 为空洞
+        [srec([[0x1000, [1, 2, 3, 4]], [0x1010, [5, 6]]]), srec([[0x1000, [1, 9, 3, 4]], [0x1008, [7, 7, 7]], [0x1012, [8]]])],
+        // 起始地址不同，一侧前面补空洞
+        [srec([[0x2004, [0xAA, 0xBB]]]), srec([[0x2000, [1, 2]], [0x2004, [0xAA, 0xBC]]])],
+        // B 比 A 长且中间有空洞
+        [srec([[0x3000, [1, 2, 3]]]), srec([[0x3000, [1, 2, 3]], [0x3010, [4, 5]]])]
+    ];
+    
+    for (const [textA, textB] of cases) {
+        const result = await compareImages(textA, textB);
+        assert.ok(HexDiffCore.hasHoles(result));
+        for (const format of ['ips', 'bps', 'json']) {
+            const patch = HexDiffCore.createPatch(format, result.A, result.B, result.segments);
+            const applied = HexDiffCore.applyPatch(result.A, patch);
+            assert.deepStrictEqual(Array.from(applied.data), Array.from(result.B), format);
+            assert.notStrictEqual(applied.checksum, false, format);
+        }
+    }
+});
+
+test('映像基址相距过远时拒绝比较并报告跨度', async () => {
+    const limit = HexDiffCore.MAX_ALIGN_GAP;
+    HexDiffCore.MAX_ALIGN_GAP = 0x100;
+    try {
+        const result = await HexDiffCore.runCompare({
+            id: 0,
+            inputs: { A: { text: srec([[0x1000, [1, 2]]]), format: 'srec' }, B: { text: srec([[0x8000, [1, 2]]]), format: 'srec' } },
+            alignMode: 'align',
+            gutterHeight: 0
+        });
+        assert.strictEqual(result.A, null);
+        assert.strictEqual(result.B, null);
+        assert.match(result.errors.A, /A 0x1000，B 0x8000，相距 0x7000 字节/);
+        assert.strictEqual(result.errors.B, result.errors.A);
+    } finally {
+        HexDiffCore.MAX_ALIGN_GAP = limit;
+    }
+});